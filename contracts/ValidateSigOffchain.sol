@@ -0,0 +1,53 @@
+// SPDX-License-Identifier: ISC
+pragma solidity 0.8.26;
+
+interface IERC1271Wallet {
+  function isValidSignature(bytes32 hash, bytes calldata signature) external view returns (bytes4);
+}
+
+// Deployless EIP-6492 checker used by lib/smartWallet.js. It is never
+// deployed: its init code is sent as an eth_call without a `to` address, so
+// the counterfactual wallet is created through its factory inside the
+// simulated call and then asked to validate the signature via EIP-1271.
+// Returns a single byte: 0x01 if the signature is valid, 0x00 otherwise.
+//
+// Compiled with solc 0.8.26, optimizer enabled (200 runs), evmVersion paris
+// so the init code also runs on nodes without Shanghai/Cancun opcodes.
+contract ValidateSigOffchain {
+  bytes4 private constant ERC1271_SUCCESS = 0x1626ba7e;
+
+  constructor(
+    address signer,
+    bytes32 hash,
+    address factory,
+    bytes memory factoryCalldata,
+    bytes memory signature
+  ) {
+    bool valid = isValid(signer, hash, factory, factoryCalldata, signature);
+    assembly {
+      mstore(0, valid)
+      return(31, 1)
+    }
+  }
+
+  function isValid(
+    address signer,
+    bytes32 hash,
+    address factory,
+    bytes memory factoryCalldata,
+    bytes memory signature
+  ) private returns (bool) {
+    if (signer.code.length == 0) {
+      (bool deployed, ) = factory.call(factoryCalldata);
+      if (!deployed || signer.code.length == 0) {
+        return false;
+      }
+    }
+
+    try IERC1271Wallet(signer).isValidSignature(hash, signature) returns (bytes4 magicValue) {
+      return magicValue == ERC1271_SUCCESS;
+    } catch {
+      return false;
+    }
+  }
+}
@@ -2,10 +2,69 @@ const express = require('express');
 const { ethers } = require('ethers');
 const cors = require('cors');
 const dotenv = require('dotenv');
-const { Ed25519Keypair } = require('@mysten/sui/keypairs/ed25519');
-const { Secp256k1Keypair } = require('@mysten/sui/keypairs/secp256k1');
+const { parseSerializedSignature } = require('@mysten/sui/cryptography');
+const { verifyPersonalMessageSignature, verifyTransactionSignature } = require('@mysten/sui/verify');
+const { normalizeSuiAddress } = require('@mysten/sui/utils');
 const bip39 = require('bip39');
 const crypto = require('crypto');
+const os = require('os');
+const siwe = require('./lib/siwe');
+const { MemoryNonceStore } = require('./lib/nonceStore');
+const { SignatureError, assertSignature, parseAddressList, verifyMessageSignature } = require('./lib/signature');
+const { TypedDataError, normalizeTypedData, hashTypedData } = require('./lib/typedData');
+const {
+  TransactionError,
+  normalizeTransaction,
+  decodeTransaction,
+  recoverSender,
+  isReplayProtected,
+  describeTransaction
+} = require('./lib/transaction');
+const {
+  SuiKeyError,
+  keypairFromPrivateKey,
+  keyTypeName,
+  describeKeypair
+} = require('./lib/sui');
+const {
+  MAX_DERIVE_COUNT,
+  HDWalletError,
+  resolveWordlist,
+  generateMnemonic,
+  validateMnemonic,
+  deriveAccountXpub,
+  deriveAddressesFromXpub
+} = require('./lib/eth');
+const { KeystoreError, validateKeystoreOptions, encryptKeystore, decryptKeystore } = require('./lib/keystore');
+const { ShamirError, validateCounts, splitSecret, splitMnemonic, combineShares } = require('./lib/shamir');
+const {
+  SuiTransactionError,
+  parseTransactionBytes,
+  signerRole,
+  describeTransaction: describeSuiTransaction
+} = require('./lib/suiTransaction');
+const { BatchError, readNdjson, mapOrdered } = require('./lib/batch');
+const {
+  GeneratorError,
+  GENERATORS,
+  parseOptions,
+  derivationPaths,
+  parseChainSelection
+} = require('./lib/generators');
+const { ChainError, resolveChain, toChecksumAddress } = require('./lib/chains');
+const { VanityError, normalizePattern, estimateDifficulty, successProbability } = require('./lib/vanity');
+const { VanityJobManager, describeJob } = require('./lib/vanityJobs');
+const { VaultError, KeyVault, parseMasterKey } = require('./lib/vault');
+const { FileVaultStore } = require('./lib/vaultStore');
+const { parseApiKeys, extractApiKey, findApiKey } = require('./lib/auth');
+const { MemoryRateLimitStore, parseRateLimits } = require('./lib/rateLimit');
+const {
+  SmartWalletError,
+  parseRpcAllowlist,
+  connectProvider,
+  assertChainId,
+  verifySmartWalletSignature
+} = require('./lib/smartWallet');
 
 // Load environment variables
 dotenv.config();
@@ -14,219 +73,2143 @@ dotenv.config();
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Allowed CORS origins as a comma-separated list (CORS_ORIGINS). Unset or
+// "*" keeps the previous allow-all behaviour.
+const corsOrigins = (process.env.CORS_ORIGINS || '*').split(',').map((origin) => origin.trim()).filter(Boolean);
+
+// Maximum size of JSON and form request bodies
+const bodyLimit = process.env.BODY_LIMIT || '100kb';
+
+// Behind a proxy (e.g. Vercel) set TRUST_PROXY so req.ip is the client's
+// address rather than the proxy's, otherwise every client shares one limit
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : (/^[0-9]+$/.test(trustProxy) ? Number(trustProxy) : trustProxy));
+}
+
 // Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+app.use(cors({
+  origin: corsOrigins.includes('*') ? '*' : corsOrigins
+}));
+app.use(express.json({ limit: bodyLimit }));
+app.use(express.urlencoded({ extended: true, limit: bodyLimit }));
+
+// Sign-In with Ethereum settings. Domain and URI default to the request host.
+const siweConfig = {
+  domain: process.env.SIWE_DOMAIN,
+  uri: process.env.SIWE_URI,
+  chainId: Number(process.env.SIWE_CHAIN_ID) || 1,
+  ttlSeconds: Number(process.env.SIWE_TTL_SECONDS) || 300
+};
+
+// RPC endpoints that /verify and /siwe/verify may call to check contract
+// wallet signatures (ALLOWED_RPC_URLS, comma-separated). Unset turns
+// contract wallet verification off.
+const allowedRpcUrls = parseRpcAllowlist(process.env.ALLOWED_RPC_URLS);
+
+const smartWalletErrorStatus = {
+  RPC_NOT_CONFIGURED: 503,
+  RPC_URL_NOT_ALLOWED: 403,
+  RPC_ERROR: 502
+};
+
+function sendSmartWalletError(res, error) {
+  return res.status(smartWalletErrorStatus[error.code] || 400).json({ 
+    error: error.message,
+    code: error.code,
+    success: false
+  });
+}
+
+// Check a signature for `address` through the caller's RPC endpoint. Resolves
+// to null when the address is an EOA and ecrecover should be used instead.
+async function verifyWithRpc(rpcUrl, address, hash, signature, chainId) {
+  const provider = await connectProvider(rpcUrl, allowedRpcUrls);
+  try {
+    if (chainId !== undefined) {
+      await assertChainId(provider, chainId);
+    }
+    return await verifySmartWalletSignature(provider, address, hash, signature);
+  } finally {
+    provider.destroy();
+  }
+}
+
+// API keys and their scopes (see lib/auth.js). Authentication is only
+// enforced when API_KEYS is set; a malformed value stops the server from
+// starting rather than leaving routes open.
+app.locals.apiKeys = process.env.API_KEYS ? parseApiKeys(process.env.API_KEYS) : null;
+if (!app.locals.apiKeys) {
+  console.warn('API_KEYS is not set: all routes are open to unauthenticated requests');
+}
+
+// Rate limits per route group (see lib/rateLimit.js). Replace the store with
+// a shared one when running more than one instance.
+const rateLimits = parseRateLimits(process.env.RATE_LIMITS);
+app.locals.rateLimitStore = new MemoryRateLimitStore();
+
+// Set the RateLimit headers for a group's current window and return the
+// seconds until it resets
+function setRateLimitHeaders(res, group, hits) {
+  const { windowMs, max } = rateLimits[group];
+  const resetSeconds = Math.max(0, Math.ceil((hits.resetAt - Date.now()) / 1000));
+  res.set({
+    'RateLimit-Policy': `${max};w=${Math.ceil(windowMs / 1000)}`,
+    'RateLimit-Limit': String(max),
+    'RateLimit-Remaining': String(Math.max(0, max - hits.count)),
+    'RateLimit-Reset': String(resetSeconds)
+  });
+  return resetSeconds;
+}
+
+function sendRateLimited(res, resetSeconds) {
+  res.set('Retry-After', String(resetSeconds));
+  return res.status(429).json({ 
+    error: `Rate limit exceeded. Try again in ${resetSeconds} seconds.`,
+    code: 'RATE_LIMITED',
+    success: false
+  });
+}
+
+// Require an API key carrying the given scope. Failed attempts are counted
+// per IP address in the `auth` group, and an IP over that limit is turned
+// away before its key is checked, so keys can't be guessed at full speed.
+function requireScope(scope) {
+  return async (req, res, next) => {
+    const { apiKeys } = req.app.locals;
+    if (!apiKeys) {
+      return next();
+    }
+
+    const { windowMs, max } = rateLimits.auth;
+    const failures = `auth:ip:${req.ip}`;
+    if (max > 0) {
+      try {
+        const hits = await req.app.locals.rateLimitStore.get(failures);
+        if (hits && hits.count >= max && hits.resetAt > Date.now()) {
+          return sendRateLimited(res, setRateLimitHeaders(res, 'auth', hits));
+        }
+      } catch (error) {
+        console.error('Rate limit store error:', error);
+      }
+    }
+
+    const presented = extractApiKey(req);
+    const apiKey = presented ? findApiKey(apiKeys, presented) : null;
+
+    if (!apiKey) {
+      if (max > 0) {
+        try {
+          setRateLimitHeaders(res, 'auth', await req.app.locals.rateLimitStore.increment(failures, windowMs));
+        } catch (error) {
+          console.error('Rate limit store error:', error);
+        }
+      }
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ 
+        error: presented ? 'Invalid API key' : 'API key required. Send it as "Authorization: Bearer <key>" or "X-API-Key: <key>".',
+        code: 'UNAUTHORIZED',
+        success: false
+      });
+    }
+
+    if (!apiKey.scopes.includes(scope)) {
+      return res.status(403).json({ 
+        error: `API key is missing the "${scope}" scope`,
+        code: 'FORBIDDEN',
+        success: false
+      });
+    }
+
+    req.apiKey = apiKey;
+    return next();
+  };
+}
+
+// Count the request against the caller's API key, or its IP address when
+// unauthenticated, and reject it with 429 once the group's limit is used up
+function rateLimit(group) {
+  const { windowMs, max } = rateLimits[group];
+
+  return async (req, res, next) => {
+    if (max === 0) {
+      return next();
+    }
+
+    const caller = req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`;
+    let hits;
+    try {
+      hits = await req.app.locals.rateLimitStore.increment(`${group}:${caller}`, windowMs);
+    } catch (error) {
+      // Don't take the API down with the rate limit store
+      console.error('Rate limit store error:', error);
+      return next();
+    }
+
+    const resetSeconds = setRateLimitHeaders(res, group, hits);
+    if (hits.count > max) {
+      return sendRateLimited(res, resetSeconds);
+    }
+
+    return next();
+  };
+}
+
+// Private keys are read from POST bodies. The old GET variants put keys in
+// access logs and browser history, so they're off unless explicitly enabled.
+const allowLegacyKeyQuery = process.env.ALLOW_LEGACY_GET_KEYS === 'true';
+
+// Reject GET requests carrying private keys unless the legacy setting is on
+function legacyKeyQuery(req, res, next) {
+  if (allowLegacyKeyQuery) {
+    return next();
+  }
+
+  res.set('Allow', 'POST');
+  return res.status(405).json({ 
+    error: `Private keys are no longer accepted in query strings. Use POST ${req.path} with a JSON body instead.`,
+    success: false
+  });
+}
+
+// Read route parameters from the JSON body, or the query string on legacy GETs
+function keyParams(req) {
+  return req.method === 'GET' ? req.query : (req.body || {});
+}
+
+// Custodial key vault. Only enabled when a master key is configured; keys
+// are stored encrypted in VAULT_FILE (see lib/vaultStore.js for other stores).
+app.locals.keyVault = null;
+if (process.env.VAULT_MASTER_KEY) {
+  try {
+    app.locals.keyVault = new KeyVault(
+      new FileVaultStore(process.env.VAULT_FILE || '.vault/keys.json'),
+      parseMasterKey(process.env.VAULT_MASTER_KEY)
+    );
+  } catch (error) {
+    console.error('Key vault disabled:', error.message);
+  }
+}
+
+// HTTP status for each vault error code (anything else is a bad request)
+const vaultErrorStatus = {
+  VAULT_NOT_CONFIGURED: 503,
+  KEY_NOT_FOUND: 404,
+  DECRYPTION_FAILED: 500
+};
+
+// Unknown `chain` parameter on an ETH route
+function sendChainError(res, error) {
+  return res.status(400).json({ 
+    error: error.message,
+    code: error.code,
+    success: false
+  });
+}
+
+function sendVaultError(res, error) {
+  return res.status(vaultErrorStatus[error.code] || 400).json({ 
+    error: error.message,
+    code: error.code,
+    success: false
+  });
+}
+
+// Reject vault requests when no master key is configured
+function requireVault(req, res, next) {
+  if (!req.app.locals.keyVault) {
+    return sendVaultError(res, new VaultError('VAULT_NOT_CONFIGURED', 'Key vault is not configured. Set VAULT_MASTER_KEY to enable it.'));
+  }
+  return next();
+}
+
+// Decrypt a vault key for signing on the given chain. `keyAddress` picks a
+// key the ID held before it was rotated.
+async function getVaultSigner(req, keyId, chain, keyAddress) {
+  if (!req.app.locals.keyVault) {
+    throw new VaultError('VAULT_NOT_CONFIGURED', 'Key vault is not configured. Set VAULT_MASTER_KEY to enable it.');
+  }
+  return req.app.locals.keyVault.getSigner(keyId, chain, keyAddress);
+}
+
+// Vanity address searches run as background jobs across worker threads.
+// VANITY_MAX_JOBS limits how many searches may run at once and
+// VANITY_MAX_JOBS_PER_CLIENT how many of those one API key (or IP address)
+// may hold, so a single caller can't take every slot. VANITY_THREADS
+// defaults to the CPU cores shared out between the jobs. A search stops
+// after VANITY_MAX_DURATION_SECONDS even if its budget isn't used up.
+const vanityMaxJobs = Number(process.env.VANITY_MAX_JOBS) || 4;
+const vanityMaxAttempts = Math.min(Number(process.env.VANITY_MAX_ATTEMPTS) || 1e8, 1e8);
+const vanityDefaultAttempts = Math.min(1e7, vanityMaxAttempts);
+app.locals.vanityJobs = new VanityJobManager({
+  threads: Number(process.env.VANITY_THREADS) || Math.max(1, Math.floor(os.availableParallelism() / vanityMaxJobs)),
+  maxRunningJobs: vanityMaxJobs,
+  maxJobsPerClient: Number(process.env.VANITY_MAX_JOBS_PER_CLIENT) || 1,
+  maxDurationMs: (Number(process.env.VANITY_MAX_DURATION_SECONDS) || 300) * 1000
+});
+
+// HTTP status for each vanity error code (anything else is a bad request)
+const vanityErrorStatus = {
+  VANITY_BUSY: 503,
+  VANITY_CLIENT_LIMIT: 429
+};
+
+function sendVanityError(res, error) {
+  return res.status(vanityErrorStatus[error.code] || 400).json({ 
+    error: error.message,
+    code: error.code,
+    success: false
+  });
+}
+
+function isValidVanityBudget(attempts) {
+  return Number.isSafeInteger(attempts) && attempts >= 1 && attempts <= vanityMaxAttempts;
+}
+
+function sendVanityBudgetError(res) {
+  return res.status(400).json({ 
+    error: `maxAttempts must be an integer between 1 and ${vanityMaxAttempts}`,
+    code: 'INVALID_MAX_ATTEMPTS',
+    success: false
+  });
+}
+
+function vanityJobNotFound(res, jobId) {
+  return res.status(404).json({ 
+    error: `Vanity job ${jobId} not found`,
+    code: 'JOB_NOT_FOUND',
+    success: false
+  });
+}
+
+// Batch signing and verification. BATCH_MAX_ITEMS caps the items in one
+// request, whether sent as a JSON array or streamed as NDJSON. Batches are
+// rate limited in their own `batch` group, so the cap bounds how much work
+// one caller can queue per window.
+const batchMaxItems = Number(process.env.BATCH_MAX_ITEMS) || 500;
+const BATCH_CONCURRENCY = 16;
+const BATCH_MAX_LINE_LENGTH = 64 * 1024;
+
+// Per-item error fields for a batch result. Errors without a code are
+// unexpected and logged rather than shown to the caller.
+function batchItemError(error) {
+  if (error.code && [BatchError, SignatureError, VaultError, ChainError].some((ErrorClass) => error instanceof ErrorClass)) {
+    return { error: error.message, code: error.code };
+  }
+  console.error('Error processing batch item:', error);
+  return { error: 'Error processing item', code: 'INTERNAL_ERROR' };
+}
+
+// Run `handler` over the items of a batch request and send one result per
+// item, in input order. Items come from `{ "items": [...] }` or an
+// application/x-ndjson body. Results are sent as JSON, or streamed as NDJSON
+// when the request was NDJSON or sent `Accept: application/x-ndjson`.
+async function runBatch(req, res, handler) {
+  const ndjsonIn = Boolean(req.is('application/x-ndjson'));
+  const ndjsonOut = ndjsonIn || /application\/x-ndjson/.test(req.get('Accept') || '');
+
+  let source;
+  if (ndjsonIn) {
+    source = readNdjson(req, { maxLineLength: BATCH_MAX_LINE_LENGTH, maxItems: batchMaxItems });
+  } else {
+    const { items } = req.body || {};
+    if (!Array.isArray(items)) {
+      return res.status(400).json({ 
+        error: 'items must be an array (or send the items as application/x-ndjson)',
+        code: 'MISSING_PARAMETERS',
+        success: false
+      });
+    }
+    if (items.length > batchMaxItems) {
+      return res.status(400).json({ 
+        error: `A batch can hold at most ${batchMaxItems} items`,
+        code: 'TOO_MANY_ITEMS',
+        success: false
+      });
+    }
+    source = items.map((item) => ({ item }));
+  }
+
+  const results = mapOrdered(source, async ({ item, error }, index) => {
+    try {
+      if (error) {
+        throw error;
+      }
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        throw new BatchError('INVALID_ITEM', 'Item must be a JSON object');
+      }
+      return { index, success: true, data: await handler(item) };
+    } catch (itemError) {
+      return { index, success: false, ...batchItemError(itemError) };
+    }
+  }, BATCH_CONCURRENCY);
+
+  const summary = { total: 0, succeeded: 0, failed: 0 };
+  const count = (result) => {
+    summary.total++;
+    summary[result.success ? 'succeeded' : 'failed']++;
+  };
+
+  if (!ndjsonOut) {
+    const collected = [];
+    try {
+      for await (const result of results) {
+        count(result);
+        collected.push(result);
+      }
+    } catch (batchError) {
+      if (batchError instanceof BatchError) {
+        return res.status(400).json({ 
+          error: batchError.message,
+          code: batchError.code,
+          success: false
+        });
+      }
+      throw batchError;
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        results: collected,
+        summary
+      }
+    });
+  }
+
+  res.status(200).type('application/x-ndjson');
+  try {
+    for await (const result of results) {
+      count(result);
+      if (!res.write(JSON.stringify(result) + '\n')) {
+        await new Promise((resolve) => {
+          res.once('drain', resolve);
+          res.once('close', resolve);
+        });
+      }
+      // Stop working for a client that has gone away
+      if (res.destroyed) {
+        return undefined;
+      }
+    }
+  } catch (batchError) {
+    if (!(batchError instanceof BatchError)) {
+      throw batchError;
+    }
+    // The status line is already sent, so a fatal error is the last line
+    return res.end(JSON.stringify({ error: batchError.message, code: batchError.code, success: false, summary }) + '\n');
+  }
+  return res.end(JSON.stringify({ summary }) + '\n');
+}
+
+// Finish a batch response after an unexpected error, whether or not the
+// NDJSON stream has already started
+function sendBatchFailure(res, message) {
+  if (res.headersSent) {
+    return res.end(JSON.stringify({ error: message, success: false }) + '\n');
+  }
+  return res.status(500).json({ 
+    error: message,
+    success: false
+  });
+}
+
+// Nonce store for SIWE challenges. Replace with a shared store when running
+// more than one instance (see lib/nonceStore.js for the interface).
+app.locals.nonceStore = new MemoryNonceStore();
+
+// Route for message signing
+const handleSign = async (req, res) => {
+  try {
+    const { key, keyId, keyAddress, message, chain: chainName } = keyParams(req);
+
+    if ((!key && !keyId) || !message) {
+      return res.status(400).json({ 
+        error: 'Private key (or vault keyId) and message are required',
+        success: false
+      });
+    }
+
+    let chain;
+    try {
+      chain = resolveChain(chainName);
+    } catch (chainError) {
+      if (chainError instanceof ChainError) {
+        return sendChainError(res, chainError);
+      }
+      throw chainError;
+    }
+
+    // Create wallet from private key, or load it from the vault
+    let wallet;
+    try {
+      wallet = keyId ? await getVaultSigner(req, keyId, 'eth', keyAddress) : new ethers.Wallet(key);
+    } catch (vaultError) {
+      if (vaultError instanceof VaultError) {
+        return sendVaultError(res, vaultError);
+      }
+      throw vaultError;
+    }
+    
+    // Get the address, checksummed for the chain
+    const address = toChecksumAddress(wallet.address, chain);
+    
+    // Sign the message
+    const signature = await wallet.signMessage(message);
+    
+    // Return the signature and address
+    return res.status(200).json({
+      success: true,
+      data: {
+        address,
+        message,
+        signature
+      }
+    });
+  } catch (error) {
+    console.error('Error signing message:', error);
+    return res.status(500).json({ 
+      error: 'Error signing message. Please ensure the private key is valid.',
+      success: false
+    });
+  }
+};
+
+app.post('/sign', requireScope('sign'), rateLimit('sign'), handleSign);
+app.get('/sign', requireScope('sign'), rateLimit('sign'), legacyKeyQuery, handleSign);
+
+// Sign many messages in one request. Vault keys are decrypted once per
+// batch, however many items use them.
+app.post('/sign/batch', requireScope('sign'), rateLimit('batch'), async (req, res) => {
+  try {
+    const vaultSigners = new Map();
+
+    return await runBatch(req, res, async ({ key, keyId, keyAddress, message, chain: chainName }) => {
+      if ((!key && !keyId) || typeof message !== 'string' || !message) {
+        throw new BatchError('MISSING_PARAMETERS', 'Private key (or vault keyId) and message are required');
+      }
+      const chain = resolveChain(chainName);
+
+      let wallet;
+      if (keyId) {
+        const signerKey = `${keyId}:${keyAddress || ''}`;
+        if (!vaultSigners.has(signerKey)) {
+          vaultSigners.set(signerKey, getVaultSigner(req, keyId, 'eth', keyAddress));
+        }
+        wallet = await vaultSigners.get(signerKey);
+      } else {
+        try {
+          wallet = new ethers.Wallet(key);
+        } catch (keyError) {
+          throw new BatchError('INVALID_KEY', 'Invalid private key');
+        }
+      }
+
+      return {
+        address: toChecksumAddress(wallet.address, chain),
+        signature: await wallet.signMessage(message)
+      };
+    });
+  } catch (error) {
+    console.error('Error signing batch:', error);
+    return sendBatchFailure(res, 'Error signing batch');
+  }
+});
+
+// Add a verification endpoint as well (optional but useful)
+app.get('/verify', requireScope('verify'), rateLimit('verify'), async (req, res) => {
+  try {
+    const { message, signature, address, rpcUrl } = req.query;
+
+    if (!message || !signature) {
+      return res.status(400).json({ 
+        error: 'Message and signature are required',
+        code: 'MISSING_PARAMETERS',
+        success: false
+      });
+    }
+
+    let expectedAddresses = [];
+    try {
+      if (address !== undefined) {
+        expectedAddresses = parseAddressList(address);
+      }
+      if (rpcUrl !== undefined && expectedAddresses.length !== 1) {
+        throw new SignatureError('ADDRESS_REQUIRED', 'rpcUrl requires exactly one address to verify the signature for');
+      }
+    } catch (validationError) {
+      if (validationError instanceof SignatureError) {
+        return res.status(400).json({ 
+          error: validationError.message,
+          code: validationError.code,
+          success: false
+        });
+      }
+      throw validationError;
+    }
+
+    // With an RPC endpoint, a contract wallet at the address (or an EIP-6492
+    // counterfactual one) decides for itself whether the signature is valid
+    if (rpcUrl !== undefined) {
+      let result;
+      try {
+        result = await verifyWithRpc(rpcUrl, expectedAddresses[0], ethers.hashMessage(message), signature);
+      } catch (rpcError) {
+        if (rpcError instanceof SmartWalletError) {
+          return sendSmartWalletError(res, rpcError);
+        }
+        throw rpcError;
+      }
+
+      if (result) {
+        return res.status(200).json({
+          success: true,
+          data: {
+            address: expectedAddresses[0],
+            message,
+            method: result.method,
+            isValid: result.isValid,
+            ...(result.isValid ? {} : {
+              reason: `Contract wallet ${expectedAddresses[0]} rejected the signature`
+            })
+          }
+        });
+      }
+    }
+
+    let result;
+    try {
+      result = verifyMessageSignature(message, signature, expectedAddresses);
+    } catch (validationError) {
+      if (validationError instanceof SignatureError) {
+        return res.status(400).json({ 
+          error: validationError.message,
+          code: validationError.code,
+          success: false
+        });
+      }
+      throw validationError;
+    }
+
+    const { recoveredAddress, ...outcome } = result;
+    return res.status(200).json({
+      success: true,
+      data: {
+        recoveredAddress,
+        message,
+        method: 'eoa',
+        ...outcome
+      }
+    });
+  } catch (error) {
+    console.error('Error verifying signature:', error);
+    return res.status(500).json({ 
+      error: 'Error verifying signature',
+      success: false
+    });
+  }
+});
+
+// Verify many message signatures in one request. Each item is
+// { message, signature, expectedAddress }, checked like GET /verify without
+// rpcUrl.
+app.post('/verify/batch', requireScope('verify'), rateLimit('batch'), async (req, res) => {
+  try {
+    return await runBatch(req, res, async ({ message, signature, expectedAddress, address }) => {
+      if (typeof message !== 'string' || !message || !signature) {
+        throw new SignatureError('MISSING_PARAMETERS', 'Message and signature are required');
+      }
+
+      const expected = expectedAddress !== undefined ? expectedAddress : address;
+      return verifyMessageSignature(message, signature, expected !== undefined ? parseAddressList(expected) : []);
+    });
+  } catch (error) {
+    console.error('Error verifying batch:', error);
+    return sendBatchFailure(res, 'Error verifying batch');
+  }
+});
+
+// Decode a raw transaction and recover its sender, the transaction-level
+// counterpart of /verify
+app.post('/verify-transaction', requireScope('verify'), rateLimit('verify'), async (req, res) => {
+  try {
+    const { rawTransaction } = req.body || {};
+
+    if (!rawTransaction) {
+      return res.status(400).json({ 
+        error: 'rawTransaction is required',
+        code: 'MISSING_PARAMETERS',
+        success: false
+      });
+    }
+
+    let tx;
+    try {
+      tx = decodeTransaction(rawTransaction);
+    } catch (decodeError) {
+      if (decodeError instanceof TransactionError) {
+        return res.status(400).json({ 
+          error: decodeError.message,
+          code: decodeError.code,
+          success: false
+        });
+      }
+      throw decodeError;
+    }
+
+    const { from, isValid, reason } = recoverSender(tx);
+    const transaction = describeTransaction(tx);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        hash: tx.hash,
+        unsignedHash: tx.unsignedHash,
+        type: tx.type,
+        typeName: transaction.typeName,
+        recoveredAddress: from,
+        isValid,
+        ...(isValid ? {} : { reason }),
+        eip155: isReplayProtected(tx),
+        transaction
+      }
+    });
+  } catch (error) {
+    console.error('Error decoding transaction:', error);
+    return res.status(500).json({ 
+      error: 'Error decoding transaction',
+      success: false
+    });
+  }
+});
+
+// Sign EIP-712 typed data
+app.post('/sign-typed-data', requireScope('sign'), rateLimit('sign'), async (req, res) => {
+  try {
+    const { key, keyId, keyAddress, chain: chainName } = req.body || {};
+
+    if (!key && !keyId) {
+      return res.status(400).json({ 
+        error: 'Private key (or vault keyId) is required',
+        success: false
+      });
+    }
+
+    let chain;
+    try {
+      chain = resolveChain(chainName);
+    } catch (chainError) {
+      if (chainError instanceof ChainError) {
+        return sendChainError(res, chainError);
+      }
+      throw chainError;
+    }
+
+    let typedData;
+    let hashes;
+    try {
+      typedData = normalizeTypedData(req.body);
+      hashes = hashTypedData(typedData);
+    } catch (validationError) {
+      return res.status(400).json({ 
+        error: validationError instanceof TypedDataError
+          ? validationError.message
+          : `Message does not match types: ${validationError.shortMessage || validationError.message}`,
+        success: false
+      });
+    }
+
+    // The domain is signed as given, so an explicit chain must agree with it
+    if (chainName !== undefined && typedData.domain.chainId !== undefined
+      && BigInt(typedData.domain.chainId) !== BigInt(chain.chainId)) {
+      return res.status(400).json({ 
+        error: `domain.chainId is ${typedData.domain.chainId} but chain ${chain.id} has chain ID ${chain.chainId}`,
+        code: 'CHAIN_MISMATCH',
+        success: false
+      });
+    }
+
+    // Create wallet from private key, or load it from the vault
+    let wallet;
+    try {
+      wallet = keyId ? await getVaultSigner(req, keyId, 'eth', keyAddress) : new ethers.Wallet(key);
+    } catch (vaultError) {
+      if (vaultError instanceof VaultError) {
+        return sendVaultError(res, vaultError);
+      }
+      throw vaultError;
+    }
+
+    const signature = await wallet.signTypedData(typedData.domain, typedData.types, typedData.message);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        address: toChecksumAddress(wallet.address, chain),
+        primaryType: typedData.primaryType,
+        signature,
+        ...hashes
+      }
+    });
+  } catch (error) {
+    console.error('Error signing typed data:', error);
+    return res.status(500).json({ 
+      error: 'Error signing typed data. Please ensure the private key is valid.',
+      success: false
+    });
+  }
+});
+
+// Verify an EIP-712 signature and report the hashes it was made over
+app.post('/verify-typed-data', requireScope('verify'), rateLimit('verify'), async (req, res) => {
+  try {
+    const { signature, address } = req.body || {};
+
+    if (!signature) {
+      return res.status(400).json({ 
+        error: 'Signature is required',
+        code: 'MISSING_PARAMETERS',
+        success: false
+      });
+    }
+
+    let typedData;
+    let hashes;
+    let expectedAddresses = [];
+    try {
+      typedData = normalizeTypedData(req.body);
+      hashes = hashTypedData(typedData);
+      assertSignature(signature);
+      if (address !== undefined) {
+        expectedAddresses = parseAddressList(address);
+      }
+    } catch (validationError) {
+      if (validationError instanceof SignatureError) {
+        return res.status(400).json({ 
+          error: validationError.message,
+          code: validationError.code,
+          success: false
+        });
+      }
+      return res.status(400).json({ 
+        error: validationError instanceof TypedDataError
+          ? validationError.message
+          : `Message does not match types: ${validationError.shortMessage || validationError.message}`,
+        code: 'INVALID_TYPED_DATA',
+        success: false
+      });
+    }
+
+    const recoveredAddress = ethers.recoverAddress(hashes.digest, signature);
+    const isValid = expectedAddresses.length === 0 || expectedAddresses.includes(recoveredAddress);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        recoveredAddress,
+        primaryType: typedData.primaryType,
+        isValid,
+        ...(isValid ? {} : {
+          reason: `Signature was produced by ${recoveredAddress}, which is not an expected address`
+        }),
+        ...hashes
+      }
+    });
+  } catch (error) {
+    console.error('Error verifying typed data signature:', error);
+    return res.status(500).json({ 
+      error: 'Error verifying typed data signature',
+      success: false
+    });
+  }
+});
+
+// Build and sign a transaction offline. Nothing is broadcast and no
+// provider is used: the caller supplies chainId, nonce, gas and fees.
+app.post('/sign-transaction', requireScope('sign'), rateLimit('sign'), async (req, res) => {
+  try {
+    const { key, keyId, keyAddress, chain: chainName, chainId } = req.body || {};
+
+    if (!key && !keyId) {
+      return res.status(400).json({ 
+        error: 'Private key (or vault keyId) is required',
+        success: false
+      });
+    }
+
+    let chain;
+    try {
+      chain = resolveChain(chainName);
+    } catch (chainError) {
+      if (chainError instanceof ChainError) {
+        return sendChainError(res, chainError);
+      }
+      throw chainError;
+    }
+
+    let transaction;
+    try {
+      // A named chain supplies the chain ID when the body leaves it out
+      transaction = normalizeTransaction(chainName !== undefined && chainId === undefined
+        ? { ...req.body, chainId: chain.chainId }
+        : req.body);
+    } catch (validationError) {
+      if (validationError instanceof TransactionError) {
+        return res.status(400).json({ 
+          error: validationError.message,
+          code: validationError.code,
+          success: false
+        });
+      }
+      throw validationError;
+    }
+
+    if (chainName !== undefined && transaction.chainId !== BigInt(chain.chainId)) {
+      return res.status(400).json({ 
+        error: `chainId is ${transaction.chainId} but chain ${chain.id} has chain ID ${chain.chainId}`,
+        code: 'CHAIN_MISMATCH',
+        success: false
+      });
+    }
+
+    // Without a named chain, checksum addresses for the chain being signed
+    // for. Chain IDs missing from the registry get plain EIP-55.
+    if (chainName === undefined) {
+      try {
+        chain = resolveChain(transaction.chainId.toString());
+      } catch (chainError) {
+        if (!(chainError instanceof ChainError)) {
+          throw chainError;
+        }
+        chain = null;
+      }
+    }
+
+    // Create wallet from private key, or load it from the vault
+    let wallet;
+    try {
+      wallet = keyId ? await getVaultSigner(req, keyId, 'eth', keyAddress) : new ethers.Wallet(key);
+    } catch (vaultError) {
+      if (vaultError instanceof VaultError) {
+        return sendVaultError(res, vaultError);
+      }
+      throw vaultError;
+    }
+
+    if (transaction.from && transaction.from !== wallet.address) {
+      return res.status(400).json({ 
+        error: `from is ${transaction.from} but the key belongs to ${wallet.address}`,
+        code: 'FROM_MISMATCH',
+        success: false
+      });
+    }
+
+    const rawTransaction = await wallet.signTransaction(transaction);
+    const signed = ethers.Transaction.from(rawTransaction);
+    const description = describeTransaction(signed);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        address: toChecksumAddress(wallet.address, chain),
+        chain: chain ? chain.id : null,
+        rawTransaction,
+        hash: signed.hash,
+        transaction: {
+          ...description,
+          to: description.to && toChecksumAddress(description.to, chain),
+          from: toChecksumAddress(description.from, chain)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error signing transaction:', error);
+    return res.status(500).json({ 
+      error: 'Error signing transaction. Please ensure the private key is valid.',
+      success: false
+    });
+  }
+});
+
+// Issue an EIP-4361 (Sign-In with Ethereum) challenge message
+app.get('/siwe/challenge', requireScope('verify'), rateLimit('verify'), async (req, res) => {
+  try {
+    const { address, chainId, statement } = req.query;
+
+    if (!address) {
+      return res.status(400).json({ 
+        error: 'Address is required',
+        success: false
+      });
+    }
+
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ 
+        error: 'Invalid Ethereum address',
+        success: false
+      });
+    }
+
+    const requestedChainId = chainId === undefined ? siweConfig.chainId : Number(chainId);
+    if (!Number.isInteger(requestedChainId) || requestedChainId < 1) {
+      return res.status(400).json({ 
+        error: 'Invalid chain ID',
+        success: false
+      });
+    }
+
+    if (statement !== undefined && /[\r\n]/.test(statement)) {
+      return res.status(400).json({ 
+        error: 'Statement must be a single line',
+        success: false
+      });
+    }
+
+    const host = req.get('host');
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + siweConfig.ttlSeconds * 1000);
+
+    const fields = {
+      domain: siweConfig.domain || host,
+      address: ethers.getAddress(address),
+      statement: statement || null,
+      uri: siweConfig.uri || `${req.protocol}://${host}`,
+      version: '1',
+      chainId: requestedChainId,
+      nonce: siwe.generateNonce(),
+      issuedAt: issuedAt.toISOString(),
+      expirationTime: expiresAt.toISOString()
+    };
+
+    const message = siwe.buildMessage(fields);
+
+    // Remember what we issued so verification can check every field against it
+    await req.app.locals.nonceStore.save(fields.nonce, fields, expiresAt);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        message,
+        ...fields
+      }
+    });
+  } catch (error) {
+    console.error('Error creating SIWE challenge:', error);
+    return res.status(500).json({ 
+      error: 'Error creating sign-in challenge',
+      success: false
+    });
+  }
+});
+
+// Verify a signed SIWE message and consume its nonce
+app.post('/siwe/verify', requireScope('verify'), rateLimit('verify'), async (req, res) => {
+  try {
+    const { message, signature, rpcUrl } = req.body || {};
+
+    if (!message || !signature) {
+      return res.status(400).json({ 
+        error: 'Message and signature are required',
+        success: false
+      });
+    }
+
+    let fields;
+    try {
+      fields = siwe.parseMessage(message);
+    } catch (parseError) {
+      return res.status(400).json({ 
+        error: `Invalid SIWE message: ${parseError.message}`,
+        success: false
+      });
+    }
+
+    // Consume the nonce up front so a rejected attempt can't be retried
+    const issued = await req.app.locals.nonceStore.consume(fields.nonce);
+    if (!issued) {
+      return res.status(401).json({ 
+        error: 'Unknown, expired or already used nonce',
+        success: false
+      });
+    }
+
+    const mismatched = ['domain', 'address', 'statement', 'uri', 'version', 'chainId', 'issuedAt', 'expirationTime']
+      .find((key) => fields[key] !== issued[key]);
+    if (mismatched) {
+      return res.status(401).json({ 
+        error: `Message field "${mismatched}" does not match the issued challenge`,
+        success: false
+      });
+    }
+
+    const now = Date.now();
+    if (fields.expirationTime && Date.parse(fields.expirationTime) <= now) {
+      return res.status(401).json({ 
+        error: 'Message has expired',
+        success: false
+      });
+    }
+    if (fields.notBefore && Date.parse(fields.notBefore) > now) {
+      return res.status(401).json({ 
+        error: 'Message is not yet valid',
+        success: false
+      });
+    }
+
+    // Contract wallets are checked on the message's chain through the
+    // caller's RPC endpoint; EOAs fall through to ecrecover
+    let method = 'eoa';
+    if (rpcUrl !== undefined) {
+      let result;
+      try {
+        result = await verifyWithRpc(rpcUrl, fields.address, ethers.hashMessage(message), signature, fields.chainId);
+      } catch (rpcError) {
+        if (rpcError instanceof SmartWalletError) {
+          return sendSmartWalletError(res, rpcError);
+        }
+        throw rpcError;
+      }
+
+      if (result) {
+        if (!result.isValid) {
+          return res.status(401).json({ 
+            error: 'Signature was rejected by the contract wallet in the message',
+            success: false
+          });
+        }
+        method = result.method;
+      }
+    }
+
+    if (method === 'eoa') {
+      // Recover the signer the same way /verify does
+      let recoveredAddress;
+      try {
+        assertSignature(signature);
+        recoveredAddress = ethers.verifyMessage(message, signature);
+      } catch (signatureError) {
+        return res.status(400).json({ 
+          error: signatureError instanceof SignatureError ? signatureError.message : 'Invalid signature',
+          code: signatureError.code || 'INVALID_SIGNATURE',
+          success: false
+        });
+      }
+
+      if (recoveredAddress !== fields.address) {
+        return res.status(401).json({ 
+          error: 'Signature was not produced by the address in the message',
+          success: false
+        });
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        address: fields.address,
+        chainId: fields.chainId,
+        domain: fields.domain,
+        nonce: fields.nonce,
+        issuedAt: fields.issuedAt,
+        expirationTime: fields.expirationTime,
+        method,
+        isValid: true
+      }
+    });
+  } catch (error) {
+    console.error('Error verifying SIWE message:', error);
+    return res.status(500).json({ 
+      error: 'Error verifying sign-in message',
+      success: false
+    });
+  }
+});
+
+// Generate a new wallet from a fresh mnemonic on one of the chains in
+// lib/generators.js. GET takes `words`, `language` and the chain's options
+// from the query; a BIP-39 passphrase or keystore password is only accepted
+// in a POST body so it never lands in a URL.
+const generateWallet = (chainKey) => async (req, res) => {
+  const generator = GENERATORS[chainKey];
+  try {
+    const params = keyParams(req);
+    const {
+      words = 12,
+      language = 'english',
+      passphrase = '',
+      password,
+      scryptN,
+      shares,
+      threshold,
+      includePrivateKey = false
+    } = params;
+
+    if (req.method === 'GET' && (req.query.passphrase !== undefined || req.query.password !== undefined)) {
+      return res.status(400).json({ 
+        error: `Passphrases and passwords are not accepted in query strings. Use POST ${req.path} with a JSON body instead.`,
+        code: 'PASSPHRASE_IN_QUERY',
+        success: false
+      });
+    }
+
+    if (password !== undefined && !generator.keystore) {
+      return res.status(400).json({ 
+        error: `${generator.name} keys cannot be exported as a keystore`,
+        code: 'KEYSTORE_UNSUPPORTED',
+        success: false
+      });
+    }
+
+    if (password !== undefined) {
+      try {
+        validateKeystoreOptions(password, scryptN);
+      } catch (keystoreError) {
+        return res.status(400).json({ 
+          error: keystoreError.message,
+          code: keystoreError.code,
+          success: false
+        });
+      }
+    }
+
+    // Generate a random mnemonic phrase of the requested length and language
+    let options;
+    let mnemonic;
+    try {
+      options = parseOptions(generator, params);
+      if (shares !== undefined) {
+        validateCounts(threshold, shares);
+      }
+      mnemonic = generateMnemonic(words, language);
+    } catch (optionError) {
+      if ([GeneratorError, HDWalletError, ShamirError].some((ErrorClass) => optionError instanceof ErrorClass)) {
+        return res.status(400).json({ 
+          error: optionError.message,
+          code: optionError.code,
+          success: false
+        });
+      }
+      throw optionError;
+    }
+
+    // Derive the wallet at the chain's standard path from the master node
+    const derivationPath = generator.path(options, 0, 0);
+    const seed = bip39.mnemonicToSeedSync(mnemonic, String(passphrase));
+    const wallet = generator.derive(seed, derivationPath, options);
+    const publicFields = Object.fromEntries(
+      Object.entries(wallet).filter(([field]) => !generator.secretFields.includes(field))
+    );
+
+    // With a password the key is returned as an encrypted keystore, and with
+    // `shares` the mnemonic is split into Shamir shares. Either way the raw
+    // key and mnemonic are left out unless explicitly requested.
+    const keystore = password === undefined ? undefined : await encryptKeystore(wallet.privateKey, password, scryptN);
+    const mnemonicShares = shares === undefined
+      ? undefined
+      : splitMnemonic(mnemonic, resolveWordlist(language).language, threshold, shares);
+    const includeRawKey = (password === undefined && shares === undefined) || includePrivateKey === true;
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...(includeRawKey ? { ...wallet, mnemonic } : publicFields),
+        ...(mnemonicShares ? { shares: mnemonicShares, threshold: Number(threshold) } : {}),
+        ...generator.details(options),
+        derivationPath: derivationPath,
+        words: Number(words),
+        language: String(language).toLowerCase(),
+        passphraseProtected: passphrase !== '',
+        ...(keystore ? { keystore } : {})
+      }
+    });
+  } catch (error) {
+    // No fallback: a key that doesn't match the returned mnemonic is worse
+    // than no key at all
+    console.error(`Error generating ${generator.name} wallet:`, error);
+    return res.status(500).json({ 
+      error: `Error generating ${generator.name} wallet`,
+      success: false
+    });
+  }
+};
+
+app.get('/generate-eth', requireScope('generate'), rateLimit('generate'), generateWallet('eth'));
+app.post('/generate-eth', requireScope('generate'), rateLimit('generate'), generateWallet('eth'));
+app.get('/generate-btc', requireScope('generate'), rateLimit('generate'), generateWallet('btc'));
+app.post('/generate-btc', requireScope('generate'), rateLimit('generate'), generateWallet('btc'));
+app.get('/generate-sol', requireScope('generate'), rateLimit('generate'), generateWallet('sol'));
+app.post('/generate-sol', requireScope('generate'), rateLimit('generate'), generateWallet('sol'));
+
+// Restore wallets from an existing mnemonic, either at a custom path or for
+// a range of address indices under one account
+const restoreWallets = (chainKey) => async (req, res) => {
+  const generator = GENERATORS[chainKey];
+  try {
+    const { mnemonic, passphrase = '', language = 'english', path, account = 0, index = 0, count = 1 } = req.body || {};
+
+    if (!mnemonic) {
+      return res.status(400).json({ 
+        error: 'Mnemonic is required',
+        code: 'MISSING_PARAMETERS',
+        success: false
+      });
+    }
+
+    let options;
+    let phrase;
+    let paths;
+    try {
+      options = parseOptions(generator, req.body);
+      phrase = validateMnemonic(mnemonic, resolveWordlist(language).wordlist);
+      paths = derivationPaths(generator, options, { path, account, index, count });
+    } catch (optionError) {
+      if (optionError instanceof GeneratorError || optionError instanceof HDWalletError) {
+        return res.status(400).json({ 
+          error: optionError.message,
+          code: optionError.code,
+          success: false
+        });
+      }
+      throw optionError;
+    }
+
+    const seed = bip39.mnemonicToSeedSync(phrase, String(passphrase));
+    const wallets = paths.map((derivationPath) => ({
+      ...generator.derive(seed, derivationPath, options),
+      derivationPath
+    }));
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...generator.details(options),
+        wallets
+      }
+    });
+  } catch (error) {
+    console.error(`Error restoring ${generator.name} wallet:`, error);
+    return res.status(500).json({ 
+      error: `Error restoring ${generator.name} wallet`,
+      success: false
+    });
+  }
+};
+
+app.post('/restore-eth', requireScope('generate'), rateLimit('generate'), restoreWallets('eth'));
+app.post('/restore-btc', requireScope('generate'), rateLimit('generate'), restoreWallets('btc'));
+app.post('/restore-sol', requireScope('generate'), rateLimit('generate'), restoreWallets('sol'));
+
+// Derive wallets on several chains from one mnemonic (a new one unless
+// `mnemonic` is given) and return them as a single document, so one backup
+// phrase covers every chain
+app.post('/generate-wallet', requireScope('generate'), rateLimit('generate'), async (req, res) => {
+  try {
+    const { mnemonic, words = 12, language = 'english', passphrase = '', chains } = req.body || {};
+
+    let selection;
+    let phrase;
+    try {
+      selection = parseChainSelection(chains);
+      phrase = mnemonic
+        ? validateMnemonic(mnemonic, resolveWordlist(language).wordlist)
+        : generateMnemonic(words, language);
+    } catch (optionError) {
+      if (optionError instanceof GeneratorError || optionError instanceof HDWalletError) {
+        return res.status(400).json({ 
+          error: optionError.message,
+          code: optionError.code,
+          success: false
+        });
+      }
+      throw optionError;
+    }
+
+    const seed = bip39.mnemonicToSeedSync(phrase, String(passphrase));
+    const accounts = {};
+    for (const { key, generator, options, paths } of selection) {
+      accounts[key] = {
+        ...generator.details(options),
+        wallets: paths.map((derivationPath) => ({
+          ...generator.derive(seed, derivationPath, options),
+          derivationPath
+        }))
+      };
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        version: 1,
+        createdAt: new Date().toISOString(),
+        // A phrase the caller sent isn't echoed back
+        ...(mnemonic ? {} : { mnemonic: phrase }),
+        words: phrase.split(/\s+/).length,
+        language: String(language).toLowerCase(),
+        passphraseProtected: passphrase !== '',
+        accounts
+      }
+    });
+  } catch (error) {
+    console.error('Error generating multi-chain wallet:', error);
+    return res.status(500).json({ 
+      error: 'Error generating multi-chain wallet',
+      success: false
+    });
+  }
+});
+
+// Export the account-level extended public key (xpub) for a mnemonic
+app.post('/eth-xpub', requireScope('generate'), rateLimit('generate'), async (req, res) => {
+  try {
+    const { mnemonic, passphrase = '', language = 'english', account = 0 } = req.body || {};
+
+    if (!mnemonic) {
+      return res.status(400).json({ 
+        error: 'Mnemonic is required',
+        code: 'MISSING_PARAMETERS',
+        success: false
+      });
+    }
+
+    const accountNumber = Number(account);
+    if (!Number.isInteger(accountNumber) || accountNumber < 0 || accountNumber >= 2 ** 31) {
+      return res.status(400).json({ 
+        error: 'Account must be an integer between 0 and 2^31 - 1',
+        code: 'INVALID_DERIVATION_PATH',
+        success: false
+      });
+    }
+
+    let phrase;
+    try {
+      phrase = validateMnemonic(mnemonic, resolveWordlist(language).wordlist);
+    } catch (mnemonicError) {
+      if (mnemonicError instanceof HDWalletError) {
+        return res.status(400).json({ 
+          error: mnemonicError.message,
+          code: mnemonicError.code,
+          success: false
+        });
+      }
+      throw mnemonicError;
+    }
+
+    const { xpub, derivationPath } = deriveAccountXpub(phrase, String(passphrase), accountNumber);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        xpub,
+        derivationPath
+      }
+    });
+  } catch (error) {
+    console.error('Error exporting xpub:', error);
+    return res.status(500).json({ 
+      error: 'Error exporting extended public key',
+      success: false
+    });
+  }
+});
+
+// Derive a page of addresses from an xpub, without any private key material
+app.get('/xpub-addresses', requireScope('generate'), rateLimit('generate'), async (req, res) => {
+  try {
+    const { xpub, change = 0, index = 0, count = 20 } = req.query;
+
+    if (!xpub) {
+      return res.status(400).json({ 
+        error: 'Extended public key (xpub) is required',
+        code: 'MISSING_PARAMETERS',
+        success: false
+      });
+    }
+
+    const [chain, startIndex, total] = [change, index, count].map(Number);
+    if (chain !== 0 && chain !== 1) {
+      return res.status(400).json({ 
+        error: 'Change must be 0 (receiving) or 1 (change)',
+        code: 'INVALID_DERIVATION_PATH',
+        success: false
+      });
+    }
+    if (!Number.isInteger(startIndex) || startIndex < 0 || startIndex >= 2 ** 31) {
+      return res.status(400).json({ 
+        error: 'Index must be an integer between 0 and 2^31 - 1',
+        code: 'INVALID_DERIVATION_PATH',
+        success: false
+      });
+    }
+    if (!Number.isInteger(total) || total < 1 || total > MAX_DERIVE_COUNT || startIndex + total > 2 ** 31) {
+      return res.status(400).json({ 
+        error: `Count must be an integer between 1 and ${MAX_DERIVE_COUNT}`,
+        code: 'INVALID_COUNT',
+        success: false
+      });
+    }
+
+    let addresses;
+    try {
+      addresses = deriveAddressesFromXpub(xpub, chain, startIndex, total);
+    } catch (xpubError) {
+      if (xpubError instanceof HDWalletError) {
+        return res.status(400).json({ 
+          error: xpubError.message,
+          code: xpubError.code,
+          success: false
+        });
+      }
+      throw xpubError;
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        xpub,
+        change: chain,
+        index: startIndex,
+        count: total,
+        nextIndex: startIndex + total,
+        addresses
+      }
+    });
+  } catch (error) {
+    console.error('Error deriving addresses from xpub:', error);
+    return res.status(500).json({ 
+      error: 'Error deriving addresses from extended public key',
+      success: false
+    });
+  }
+});
+
+// Generate new SUI wallet from a fresh mnemonic (Ed25519 by default, or
+// scheme=secp256k1|secp256r1)
+app.get('/generate-sui', requireScope('generate'), rateLimit('generate'), generateWallet('sui'));
+app.post('/generate-sui', requireScope('generate'), rateLimit('generate'), generateWallet('sui'));
+
+// Restore SUI wallets from an existing mnemonic, with the same options as
+// /generate-sui
+app.post('/restore-sui', requireScope('generate'), rateLimit('generate'), restoreWallets('sui'));
+
+// Estimate how hard a vanity pattern is without starting a search
+app.post('/vanity/estimate', requireScope('generate'), rateLimit('generate'), async (req, res) => {
+  try {
+    const { maxAttempts = vanityDefaultAttempts } = req.body || {};
+
+    let pattern;
+    try {
+      pattern = normalizePattern(req.body);
+    } catch (validationError) {
+      if (validationError instanceof VanityError) {
+        return sendVanityError(res, validationError);
+      }
+      throw validationError;
+    }
+
+    const attempts = Number(maxAttempts);
+    if (!isValidVanityBudget(attempts)) {
+      return sendVanityBudgetError(res);
+    }
+
+    const { chain, scheme, prefix, suffix, caseSensitive } = pattern;
+    const difficulty = estimateDifficulty(pattern);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        chain,
+        ...(scheme ? { scheme } : {}),
+        prefix,
+        suffix,
+        caseSensitive,
+        difficulty,
+        maxAttempts: attempts,
+        probability: successProbability(difficulty, attempts)
+      }
+    });
+  } catch (error) {
+    console.error('Error estimating vanity search:', error);
+    return res.status(500).json({ 
+      error: 'Error estimating vanity search',
+      success: false
+    });
+  }
+});
+
+// Start a vanity address search. The job runs in the background; poll it
+// with GET /vanity/jobs/:jobId.
+app.post('/vanity/jobs', requireScope('generate'), rateLimit('generate'), async (req, res) => {
+  try {
+    const { maxAttempts = vanityDefaultAttempts } = req.body || {};
+
+    let pattern;
+    try {
+      pattern = normalizePattern(req.body);
+    } catch (validationError) {
+      if (validationError instanceof VanityError) {
+        return sendVanityError(res, validationError);
+      }
+      throw validationError;
+    }
+
+    const attempts = Number(maxAttempts);
+    if (!isValidVanityBudget(attempts)) {
+      return sendVanityBudgetError(res);
+    }
+
+    let job;
+    try {
+      const owner = req.apiKey ? req.apiKey.id : null;
+      job = req.app.locals.vanityJobs.start(pattern, attempts, owner, owner === null ? `ip:${req.ip}` : `key:${owner}`);
+    } catch (startError) {
+      if (startError instanceof VanityError) {
+        return sendVanityError(res, startError);
+      }
+      throw startError;
+    }
+
+    res.set('Location', `/vanity/jobs/${job.id}`);
+    return res.status(202).json({
+      success: true,
+      data: describeJob(job)
+    });
+  } catch (error) {
+    console.error('Error starting vanity search:', error);
+    return res.status(500).json({ 
+      error: 'Error starting vanity search',
+      success: false
+    });
+  }
+});
+
+// Poll a vanity search. The wallet is included once status is "found".
+app.get('/vanity/jobs/:jobId', requireScope('generate'), rateLimit('vanity'), async (req, res) => {
+  try {
+    const job = req.app.locals.vanityJobs.get(req.params.jobId, req.apiKey ? req.apiKey.id : null);
+    if (!job) {
+      return vanityJobNotFound(res, req.params.jobId);
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: describeJob(job)
+    });
+  } catch (error) {
+    console.error('Error reading vanity job:', error);
+    return res.status(500).json({ 
+      error: 'Error reading vanity job',
+      success: false
+    });
+  }
+});
+
+// Cancel a running vanity search. Finished jobs are returned unchanged.
+app.delete('/vanity/jobs/:jobId', requireScope('generate'), rateLimit('vanity'), async (req, res) => {
+  try {
+    const job = req.app.locals.vanityJobs.cancel(req.params.jobId, req.apiKey ? req.apiKey.id : null);
+    if (!job) {
+      return vanityJobNotFound(res, req.params.jobId);
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: describeJob(job)
+    });
+  } catch (error) {
+    console.error('Error cancelling vanity job:', error);
+    return res.status(500).json({ 
+      error: 'Error cancelling vanity job',
+      success: false
+    });
+  }
+});
+
+// Decrypt a V3 keystore and report the wallet it holds
+app.post('/keystore-import', requireScope('convert'), rateLimit('convert'), async (req, res) => {
+  try {
+    const { keystore, password } = req.body || {};
+
+    if (!keystore || password === undefined) {
+      return res.status(400).json({ 
+        error: 'Keystore and password are required',
+        code: 'MISSING_PARAMETERS',
+        success: false
+      });
+    }
+
+    let wallet;
+    try {
+      wallet = await decryptKeystore(keystore, password);
+    } catch (keystoreError) {
+      if (keystoreError instanceof KeystoreError) {
+        return res.status(keystoreError.code === 'INCORRECT_PASSWORD' ? 401 : 400).json({ 
+          error: keystoreError.message,
+          code: keystoreError.code,
+          success: false
+        });
+      }
+      throw keystoreError;
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        address: wallet.address,
+        publicKey: wallet.signingKey.publicKey,
+        compressedPublicKey: wallet.signingKey.compressedPublicKey
+      }
+    });
+  } catch (error) {
+    console.error('Error importing keystore:', error);
+    return res.status(500).json({ 
+      error: 'Error importing keystore',
+      success: false
+    });
+  }
+});
+
+// Split a mnemonic or private key into Shamir shares (see lib/shamir.js)
+app.post('/shamir/split', requireScope('convert'), rateLimit('convert'), async (req, res) => {
+  try {
+    const { mnemonic, privateKey, language = 'english', threshold, shares } = req.body || {};
+
+    if (!mnemonic === !privateKey) {
+      return res.status(400).json({ 
+        error: 'Exactly one of mnemonic or privateKey is required',
+        code: 'MISSING_PARAMETERS',
+        success: false
+      });
+    }
+
+    const cleanPrivateKey = privateKey && String(privateKey).replace(/^0x/, '');
+    if (privateKey && !/^[0-9a-fA-F]{64}$/.test(cleanPrivateKey)) {
+      return res.status(400).json({ 
+        error: 'Invalid private key format. Expected 64 hex characters (with or without 0x prefix).',
+        code: 'INVALID_PRIVATE_KEY',
+        success: false
+      });
+    }
+
+    let shareList;
+    try {
+      if (mnemonic) {
+        const { language: name, wordlist } = resolveWordlist(language);
+        shareList = splitMnemonic(validateMnemonic(mnemonic, wordlist), name, threshold, shares);
+      } else {
+        shareList = splitSecret(Buffer.from(cleanPrivateKey, 'hex'), 'privateKey', threshold, shares);
+      }
+    } catch (splitError) {
+      if (splitError instanceof ShamirError || splitError instanceof HDWalletError) {
+        return res.status(400).json({ 
+          error: splitError.message,
+          code: splitError.code,
+          success: false
+        });
+      }
+      throw splitError;
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        kind: mnemonic ? 'mnemonic' : 'privateKey',
+        threshold: Number(threshold),
+        shares: shareList
+      }
+    });
+  } catch (error) {
+    console.error('Error splitting secret:', error);
+    return res.status(500).json({ 
+      error: 'Error splitting secret',
+      success: false
+    });
+  }
+});
+
+// Recombine Shamir shares into the mnemonic or private key they were split
+// from. Mnemonics come back in the language recorded in the shares.
+app.post('/shamir/combine', requireScope('convert'), rateLimit('convert'), async (req, res) => {
+  try {
+    const { shares, language } = req.body || {};
+
+    let recovered;
+    try {
+      const expected = language === undefined ? null : resolveWordlist(language).language;
+      recovered = combineShares(shares);
+      if (expected !== null && recovered.kind === 'mnemonic' && expected !== recovered.language) {
+        throw new ShamirError(
+          'LANGUAGE_MISMATCH',
+          `These shares hold a mnemonic in ${recovered.language}, not ${expected}. Leave out language to recover it.`
+        );
+      }
+    } catch (combineError) {
+      if (combineError instanceof ShamirError || combineError instanceof HDWalletError) {
+        return res.status(400).json({ 
+          error: combineError.message,
+          code: combineError.code,
+          success: false
+        });
+      }
+      throw combineError;
+    }
+
+    const { kind, threshold, language: shareLanguage, secret } = recovered;
+    return res.status(200).json({
+      success: true,
+      data: {
+        kind,
+        threshold,
+        ...(kind === 'mnemonic'
+          ? {
+            mnemonic: bip39.entropyToMnemonic(secret.toString('hex'), resolveWordlist(shareLanguage).wordlist),
+            language: shareLanguage
+          }
+          : { privateKey: '0x' + secret.toString('hex') })
+      }
+    });
+  } catch (error) {
+    console.error('Error combining shares:', error);
+    return res.status(500).json({ 
+      error: 'Error combining shares',
+      success: false
+    });
+  }
+});
 
-// Route for message signing
-app.get('/sign', async (req, res) => {
+// Convert SUI private key to address
+const handleSuiKeyToAddress = async (req, res) => {
   try {
-    const { key, message } = req.query;
+    const { privateKey, scheme } = keyParams(req);
 
-    if (!key || !message) {
+    if (!privateKey) {
       return res.status(400).json({ 
-        error: 'Private key and message are required',
+        error: 'Private key is required',
         success: false
       });
     }
 
-    // Create wallet from private key
-    const wallet = new ethers.Wallet(key);
-    
-    // Get the address
-    const address = wallet.address;
-    
-    // Sign the message
-    const signature = await wallet.signMessage(message);
+    // Create keypair from private key using the requested scheme
+    let keypair;
+    try {
+      keypair = keypairFromPrivateKey(privateKey, scheme);
+    } catch (keyError) {
+      if (keyError instanceof SuiKeyError) {
+        return res.status(400).json({ 
+          error: keyError.message,
+          success: false
+        });
+      }
+      throw keyError;
+    }
     
-    // Return the signature and address
+    return res.status(200).json({
+      success: true,
+      data: describeKeypair(keypair)
+    });
+  } catch (error) {
+    console.error('Error converting SUI private key:', error);
+    return res.status(500).json({ 
+      error: 'Error converting SUI private key. Please ensure the private key is valid.',
+      success: false
+    });
+  }
+};
+
+app.post('/sui-key-to-address', requireScope('convert'), rateLimit('convert'), handleSuiKeyToAddress);
+app.get('/sui-key-to-address', requireScope('convert'), rateLimit('convert'), legacyKeyQuery, handleSuiKeyToAddress);
+
+// Sign a personal message with a SUI private key
+app.post('/sui/sign', requireScope('sign'), rateLimit('sign'), async (req, res) => {
+  try {
+    const { key, keyId, keyAddress, message, scheme } = req.body || {};
+
+    if ((!key && !keyId) || !message) {
+      return res.status(400).json({ 
+        error: 'Private key (or vault keyId) and message are required',
+        success: false
+      });
+    }
+
+    let keypair;
+    try {
+      keypair = keyId ? await getVaultSigner(req, keyId, 'sui', keyAddress) : keypairFromPrivateKey(key, scheme);
+    } catch (keyError) {
+      if (keyError instanceof VaultError) {
+        return sendVaultError(res, keyError);
+      }
+      if (keyError instanceof SuiKeyError) {
+        return res.status(400).json({ 
+          error: keyError.message,
+          success: false
+        });
+      }
+      throw keyError;
+    }
+
+    // signPersonalMessage applies the PersonalMessage intent and returns the
+    // serialized signature (flag || signature || public key) in base64
+    const { signature } = await keypair.signPersonalMessage(new TextEncoder().encode(message));
+
     return res.status(200).json({
       success: true,
       data: {
-        address,
+        address: keypair.getPublicKey().toSuiAddress(),
         message,
-        signature
+        signature,
+        keyType: keyTypeName(keypair.getKeyScheme())
       }
     });
   } catch (error) {
-    console.error('Error signing message:', error);
+    console.error('Error signing SUI message:', error);
     return res.status(500).json({ 
-      error: 'Error signing message. Please ensure the private key is valid.',
+      error: 'Error signing SUI message. Please ensure the private key is valid.',
       success: false
     });
   }
 });
 
-// Add a verification endpoint as well (optional but useful)
-app.get('/verify', async (req, res) => {
+// Verify a SUI personal message signature and recover the signer address
+app.post('/sui/verify', requireScope('verify'), rateLimit('verify'), async (req, res) => {
   try {
-    const { message, signature } = req.query;
+    const { message, signature, address } = req.body || {};
 
     if (!message || !signature) {
       return res.status(400).json({ 
         error: 'Message and signature are required',
+        code: 'MISSING_PARAMETERS',
         success: false
       });
     }
 
-    // Recover the address from the signature
-    const recoveredAddress = ethers.verifyMessage(message, signature);
-    
+    let parsed;
+    try {
+      parsed = parseSerializedSignature(signature);
+    } catch (parseError) {
+      return res.status(400).json({ 
+        error: 'Signature must be a base64 serialized SUI signature (flag || signature || public key)',
+        code: 'INVALID_SIGNATURE',
+        success: false
+      });
+    }
+
+    if (!parsed.publicKey) {
+      return res.status(400).json({ 
+        error: `Unsupported signature scheme: ${parsed.signatureScheme}`,
+        code: 'UNSUPPORTED_SIGNATURE_SCHEME',
+        success: false
+      });
+    }
+
+    let publicKey;
+    try {
+      publicKey = await verifyPersonalMessageSignature(new TextEncoder().encode(message), signature);
+    } catch (verifyError) {
+      return res.status(200).json({
+        success: true,
+        data: {
+          recoveredAddress: null,
+          message,
+          keyType: keyTypeName(parsed.signatureScheme),
+          isValid: false,
+          reason: 'Signature does not match the message'
+        }
+      });
+    }
+
+    const recoveredAddress = publicKey.toSuiAddress();
+    const isValid = !address || normalizeSuiAddress(String(address)) === recoveredAddress;
+
     return res.status(200).json({
       success: true,
       data: {
         recoveredAddress,
         message,
-        isValid: true
+        publicKey: publicKey.toBase64(),
+        keyType: keyTypeName(parsed.signatureScheme),
+        isValid,
+        ...(isValid ? {} : {
+          reason: `Signature was produced by ${recoveredAddress}, not ${address}`
+        })
       }
     });
   } catch (error) {
-    console.error('Error verifying signature:', error);
+    console.error('Error verifying SUI signature:', error);
     return res.status(500).json({ 
-      error: 'Error verifying signature',
+      error: 'Error verifying SUI signature',
       success: false
     });
   }
 });
 
-// Generate new ETH wallet with private key and mnemonic
-app.get('/generate-eth', async (req, res) => {
+// Sign base64 BCS TransactionData with the TransactionData intent. The
+// transaction is built elsewhere; this only adds the signature.
+app.post('/sui/sign-transaction', requireScope('sign'), rateLimit('sign'), async (req, res) => {
   try {
-    // Generate a random mnemonic phrase
-    const mnemonic = bip39.generateMnemonic();
-    
-    // Create HD wallet from mnemonic (this creates the master node)
-    const hdWallet = ethers.HDNodeWallet.fromMnemonic(ethers.Mnemonic.fromPhrase(mnemonic));
-    
-    // Derive the wallet at the standard Ethereum path
-    const derivationPath = "m/44'/60'/0'/0/0";
-    const wallet = hdWallet.derivePath(derivationPath);
-    
-    return res.status(200).json({
-      success: true,
-      data: {
-        address: wallet.address,
-        privateKey: wallet.privateKey,
-        mnemonic: mnemonic,
-        publicKey: wallet.publicKey,
-        derivationPath: derivationPath
+    const { key, keyId, keyAddress, txBytes, scheme } = req.body || {};
+
+    if ((!key && !keyId) || !txBytes) {
+      return res.status(400).json({ 
+        error: 'Private key (or vault keyId) and txBytes are required',
+        success: false
+      });
+    }
+
+    let transaction;
+    try {
+      transaction = parseTransactionBytes(txBytes);
+    } catch (parseError) {
+      if (parseError instanceof SuiTransactionError) {
+        return res.status(400).json({ 
+          error: parseError.message,
+          code: parseError.code,
+          success: false
+        });
       }
-    });
-  } catch (error) {
-    console.error('Error generating ETH wallet:', error);
-    
-    // Fallback: Generate a simple random wallet if HD derivation fails
+      throw parseError;
+    }
+
+    let keypair;
     try {
-      const mnemonic = bip39.generateMnemonic();
-      const randomWallet = ethers.Wallet.createRandom();
-      
-      return res.status(200).json({
-        success: true,
-        data: {
-          address: randomWallet.address,
-          privateKey: randomWallet.privateKey,
-          mnemonic: mnemonic,
-          publicKey: randomWallet.publicKey,
-          derivationPath: "random"
-        }
-      });
-    } catch (fallbackError) {
-      console.error('Error in fallback wallet generation:', fallbackError);
-      return res.status(500).json({ 
-        error: 'Error generating ETH wallet',
+      keypair = keyId ? await getVaultSigner(req, keyId, 'sui', keyAddress) : keypairFromPrivateKey(key, scheme);
+    } catch (keyError) {
+      if (keyError instanceof VaultError) {
+        return sendVaultError(res, keyError);
+      }
+      if (keyError instanceof SuiKeyError) {
+        return res.status(400).json({ 
+          error: keyError.message,
+          success: false
+        });
+      }
+      throw keyError;
+    }
+
+    // A signature from anyone but the sender or gas sponsor would only be
+    // rejected by the network
+    const address = keypair.getPublicKey().toSuiAddress();
+    const role = signerRole(transaction, address);
+    if (!role) {
+      return res.status(400).json({ 
+        error: `Key belongs to ${address}, which is neither the sender nor the gas owner of this transaction`,
+        code: 'SIGNER_NOT_IN_TRANSACTION',
         success: false
       });
     }
-  }
-});
 
-// Generate new SUI wallet with Ed25519 keypair
-app.get('/generate-sui', async (req, res) => {
-  try {
-    // Generate Ed25519 keypair for SUI
-    const keypair = new Ed25519Keypair();
-    
-    // Get the address and private key
-    const address = keypair.getPublicKey().toSuiAddress();
-    const privateKeyBytes = keypair.getSecretKey();
-    const publicKey = keypair.getPublicKey().toBase64();
-    
-    // Convert private key to hex (32 bytes = 64 hex characters)
-    const privateKeyHex = Buffer.from(privateKeyBytes.slice(0, 32)).toString('hex');
-    
+    const { signature } = await keypair.signTransaction(transaction.bytes);
+
     return res.status(200).json({
       success: true,
       data: {
-        address: address,
-        privateKey: privateKeyHex,
-        publicKey: publicKey,
-        keyType: 'Ed25519'
+        address,
+        role,
+        digest: transaction.digest,
+        txBytes,
+        signature,
+        keyType: keyTypeName(keypair.getKeyScheme())
       }
     });
   } catch (error) {
-    console.error('Error generating SUI wallet:', error);
+    console.error('Error signing SUI transaction:', error);
     return res.status(500).json({ 
-      error: 'Error generating SUI wallet',
+      error: 'Error signing SUI transaction. Please ensure the private key is valid.',
       success: false
     });
   }
 });
 
-// Convert SUI private key to address
-app.get('/sui-key-to-address', async (req, res) => {
+// Verify a SUI transaction signature and report which party produced it
+app.post('/sui/verify-transaction', requireScope('verify'), rateLimit('verify'), async (req, res) => {
   try {
-    const { privateKey } = req.query;
+    const { txBytes, signature, address } = req.body || {};
 
-    if (!privateKey) {
+    if (!txBytes || !signature) {
       return res.status(400).json({ 
-        error: 'Private key is required',
+        error: 'txBytes and signature are required',
+        code: 'MISSING_PARAMETERS',
         success: false
       });
     }
 
-    // Remove 0x prefix if present and ensure it's the right length
-    let cleanPrivateKey = privateKey.replace('0x', '');
-    
-    // For Ed25519, we expect 64 hex characters (32 bytes)
-    if (cleanPrivateKey.length !== 64) {
+    let transaction;
+    try {
+      transaction = parseTransactionBytes(txBytes);
+    } catch (parseError) {
+      if (parseError instanceof SuiTransactionError) {
+        return res.status(400).json({ 
+          error: parseError.message,
+          code: parseError.code,
+          success: false
+        });
+      }
+      throw parseError;
+    }
+
+    let parsed;
+    try {
+      parsed = parseSerializedSignature(signature);
+    } catch (parseError) {
       return res.status(400).json({ 
-        error: 'Invalid private key length. Expected 64 hex characters for Ed25519.',
+        error: 'Signature must be a base64 serialized SUI signature (flag || signature || public key)',
+        code: 'INVALID_SIGNATURE',
         success: false
       });
     }
 
-    // Convert hex string to Uint8Array
-    const privateKeyBytes = new Uint8Array(Buffer.from(cleanPrivateKey, 'hex'));
-    
-    // Create keypair from private key
-    const keypair = Ed25519Keypair.fromSecretKey(privateKeyBytes);
-    
-    // Get the address and public key
-    const address = keypair.getPublicKey().toSuiAddress();
-    const publicKey = keypair.getPublicKey().toBase64();
-    
+    if (!parsed.publicKey) {
+      return res.status(400).json({ 
+        error: `Unsupported signature scheme: ${parsed.signatureScheme}`,
+        code: 'UNSUPPORTED_SIGNATURE_SCHEME',
+        success: false
+      });
+    }
+
+    let publicKey;
+    try {
+      publicKey = await verifyTransactionSignature(transaction.bytes, signature);
+    } catch (verifyError) {
+      return res.status(200).json({
+        success: true,
+        data: {
+          recoveredAddress: null,
+          transaction: describeSuiTransaction(transaction),
+          keyType: keyTypeName(parsed.signatureScheme),
+          isValid: false,
+          reason: 'Signature does not match the transaction'
+        }
+      });
+    }
+
+    const recoveredAddress = publicKey.toSuiAddress();
+    const isValid = !address || normalizeSuiAddress(String(address)) === recoveredAddress;
+
     return res.status(200).json({
       success: true,
       data: {
-        address: address,
-        publicKey: publicKey,
-        privateKey: cleanPrivateKey,
-        keyType: 'Ed25519'
+        recoveredAddress,
+        role: signerRole(transaction, recoveredAddress),
+        transaction: describeSuiTransaction(transaction),
+        publicKey: publicKey.toBase64(),
+        keyType: keyTypeName(parsed.signatureScheme),
+        isValid,
+        ...(isValid ? {} : {
+          reason: `Signature was produced by ${recoveredAddress}, not ${address}`
+        })
       }
     });
   } catch (error) {
-    console.error('Error converting SUI private key:', error);    return res.status(500).json({ 
-      error: 'Error converting SUI private key. Please ensure the private key is valid.',
+    console.error('Error verifying SUI transaction signature:', error);
+    return res.status(500).json({ 
+      error: 'Error verifying SUI transaction signature',
       success: false
     });
   }
 });
 
 // Convert ETH private key to wallet address and public key
-app.get('/eth-key-to-wallet', async (req, res) => {
+const handleEthKeyToWallet = async (req, res) => {
   try {
-    const { privateKey } = req.query;
+    const { privateKey, password, scryptN, includePrivateKey = false, chain: chainName } = keyParams(req);
 
     if (!privateKey) {
       return res.status(400).json({ 
@@ -235,6 +2218,28 @@ app.get('/eth-key-to-wallet', async (req, res) => {
       });
     }
 
+    if (password !== undefined) {
+      try {
+        validateKeystoreOptions(password, scryptN);
+      } catch (keystoreError) {
+        return res.status(400).json({ 
+          error: keystoreError.message,
+          code: keystoreError.code,
+          success: false
+        });
+      }
+    }
+
+    let chain;
+    try {
+      chain = resolveChain(chainName);
+    } catch (chainError) {
+      if (chainError instanceof ChainError) {
+        return sendChainError(res, chainError);
+      }
+      throw chainError;
+    }
+
     // Remove 0x prefix if present and validate format
     let cleanPrivateKey = privateKey.startsWith('0x') ? privateKey : '0x' + privateKey;
     
@@ -249,17 +2254,24 @@ app.get('/eth-key-to-wallet', async (req, res) => {
     // Create wallet from private key
     const wallet = new ethers.Wallet(cleanPrivateKey);
     
-    // Get wallet information
-    const address = wallet.address;
-    const publicKey = wallet.publicKey;
+    // Get wallet information, checksumming the address for the chain
+    const address = toChecksumAddress(wallet.address, chain);
+    const publicKey = wallet.signingKey.publicKey;
+    
+    // Optionally wrap the key in an encrypted V3 keystore instead of echoing it
+    const keystore = password === undefined ? undefined : await encryptKeystore(cleanPrivateKey, password, scryptN);
+    const includeRawKey = password === undefined || includePrivateKey === true;
     
     return res.status(200).json({
       success: true,
       data: {
         address: address,
-        privateKey: cleanPrivateKey,
+        ...(includeRawKey ? { privateKey: cleanPrivateKey } : {}),
         publicKey: publicKey,
-        compressedPublicKey: ethers.SigningKey.computePublicKey(cleanPrivateKey, true)
+        chain: chain.id,
+        chainId: chain.chainId,
+        compressedPublicKey: ethers.SigningKey.computePublicKey(cleanPrivateKey, true),
+        ...(keystore ? { keystore } : {})
       }
     });
   } catch (error) {
@@ -269,6 +2281,146 @@ app.get('/eth-key-to-wallet', async (req, res) => {
       success: false
     });
   }
+};
+
+app.post('/eth-key-to-wallet', requireScope('convert'), rateLimit('convert'), handleEthKeyToWallet);
+app.get('/eth-key-to-wallet', requireScope('convert'), rateLimit('convert'), legacyKeyQuery, handleEthKeyToWallet);
+
+// Import a key into the vault, or generate a new one when `key` is omitted
+app.post('/vault/keys', requireScope('vault'), rateLimit('vault'), requireVault, async (req, res) => {
+  try {
+    const { chain, key, scheme, label } = req.body || {};
+    const metadata = await req.app.locals.keyVault.create({ chain, key, scheme, label });
+
+    return res.status(201).json({
+      success: true,
+      data: metadata
+    });
+  } catch (error) {
+    if (error instanceof VaultError) {
+      return sendVaultError(res, error);
+    }
+    console.error('Error adding vault key:', error);
+    return res.status(500).json({ 
+      error: 'Error adding key to the vault',
+      success: false
+    });
+  }
+});
+
+// List vault keys (metadata only, never key material)
+app.get('/vault/keys', requireScope('vault'), rateLimit('vault'), requireVault, async (req, res) => {
+  try {
+    const keys = await req.app.locals.keyVault.list();
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        keys
+      }
+    });
+  } catch (error) {
+    console.error('Error listing vault keys:', error);
+    return res.status(500).json({ 
+      error: 'Error listing vault keys',
+      success: false
+    });
+  }
+});
+
+app.get('/vault/keys/:keyId', requireScope('vault'), rateLimit('vault'), requireVault, async (req, res) => {
+  try {
+    const metadata = await req.app.locals.keyVault.get(req.params.keyId);
+
+    return res.status(200).json({
+      success: true,
+      data: metadata
+    });
+  } catch (error) {
+    if (error instanceof VaultError) {
+      return sendVaultError(res, error);
+    }
+    console.error('Error reading vault key:', error);
+    return res.status(500).json({ 
+      error: 'Error reading vault key',
+      success: false
+    });
+  }
+});
+
+// Change a key's label
+app.patch('/vault/keys/:keyId', requireScope('vault'), rateLimit('vault'), requireVault, async (req, res) => {
+  try {
+    const { label } = req.body || {};
+
+    if (label === undefined) {
+      return res.status(400).json({ 
+        error: 'Label is required (use null to clear it)',
+        code: 'MISSING_PARAMETERS',
+        success: false
+      });
+    }
+
+    const metadata = await req.app.locals.keyVault.setLabel(req.params.keyId, label);
+
+    return res.status(200).json({
+      success: true,
+      data: metadata
+    });
+  } catch (error) {
+    if (error instanceof VaultError) {
+      return sendVaultError(res, error);
+    }
+    console.error('Error labelling vault key:', error);
+    return res.status(500).json({ 
+      error: 'Error updating vault key',
+      success: false
+    });
+  }
+});
+
+// Put a newly generated key behind an ID, keeping the old one for signing
+app.post('/vault/keys/:keyId/rotate', requireScope('vault'), rateLimit('vault'), requireVault, async (req, res) => {
+  try {
+    const metadata = await req.app.locals.keyVault.rotate(req.params.keyId);
+
+    return res.status(200).json({
+      success: true,
+      data: metadata
+    });
+  } catch (error) {
+    if (error instanceof VaultError) {
+      return sendVaultError(res, error);
+    }
+    console.error('Error rotating vault key:', error);
+    return res.status(500).json({ 
+      error: 'Error rotating vault key',
+      success: false
+    });
+  }
+});
+
+app.delete('/vault/keys/:keyId', requireScope('vault'), rateLimit('vault'), requireVault, async (req, res) => {
+  try {
+    await req.app.locals.keyVault.delete(req.params.keyId);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        id: req.params.keyId,
+        deleted: true
+      }
+    });
+  } catch (error) {
+    if (error instanceof VaultError) {
+      return sendVaultError(res, error);
+    }
+    console.error('Error deleting vault key:', error);
+    return res.status(500).json({ 
+      error: 'Error deleting vault key',
+      success: false
+    });
+  }
 });
 
 // Serve static files
@@ -671,7 +2823,7 @@ app.get('/', (req, res) => {
               <p>Sign messages using your Ethereum private key to prove ownership of your wallet address.</p>
               
               <div class="endpoint">
-                <span class="method">GET</span> /sign?<span class="param">key</span>={privateKey}&<span class="param">message</span>={message}
+                <span class="method">POST</span> /sign { <span class="param">key</span>, <span class="param">message</span> }
               </div>
               
               <div class="param-list">
@@ -728,6 +2880,12 @@ app.get('/', (req, res) => {
                 <div class="param-item">
                   <span class="param-name">message:</span> The original message that was signed
                 </div>
+                <div class="param-item">
+                  <span class="param-name">address (optional):</span> Expected signer, or a comma-separated list of allowed signers
+                </div>
+                <div class="param-item">
+                  <span class="param-name">rpcUrl (optional):</span> JSON-RPC endpoint for verifying smart contract wallets (EIP-1271 / EIP-6492); requires a single address
+                </div>
               </div>
               
               <h3>Response</h3>
@@ -798,10 +2956,10 @@ app.get('/', (req, res) => {
                 <div class="card-icon sui-icon">SUI</div>
                 <h2>Generate SUI Wallet</h2>
               </div>
-              <p>Generate a new SUI wallet with Ed25519 keypair, address, and private key.</p>
+              <p>Generate a new SUI wallet with an Ed25519, Secp256k1 or Secp256r1 keypair, address, private key, and mnemonic phrase.</p>
               
               <div class="endpoint">
-                <span class="method">GET</span> /generate-sui
+                <span class="method">GET</span> /generate-sui?<span class="param">scheme</span>={ed25519|secp256k1|secp256r1}
               </div>
               
               <h3>Response</h3>
@@ -810,8 +2968,12 @@ app.get('/', (req, res) => {
   <span class="key">"data":</span> <span class="key">{</span>
     <span class="key">"address":</span> <span class="string">"0x1a2b3c..."</span>,
     <span class="key">"privateKey":</span> <span class="string">"7f9b8c..."</span>,
+    <span class="key">"suiPrivateKey":</span> <span class="string">"suiprivkey1..."</span>,
     <span class="key">"publicKey":</span> <span class="string">"base64..."</span>,
-    <span class="key">"keyType":</span> <span class="string">"Ed25519"</span>
+    <span class="key">"keyType":</span> <span class="string">"Ed25519"</span>,
+    <span class="key">"flag":</span> <span class="number">0</span>,
+    <span class="key">"mnemonic":</span> <span class="string">"word1 word2..."</span>,
+    <span class="key">"derivationPath":</span> <span class="string">"m/44'/784'/0'/0'/0'"</span>
   <span class="key">}</span>
 <span class="key">}</span></div>
 
@@ -835,7 +2997,7 @@ app.get('/', (req, res) => {
               <p>Convert an Ethereum private key to its corresponding wallet address and public key information.</p>
               
               <div class="endpoint">
-                <span class="method">GET</span> /eth-key-to-wallet?<span class="param">privateKey</span>={privateKey}
+                <span class="method">POST</span> /eth-key-to-wallet { <span class="param">privateKey</span> }
               </div>
               
               <div class="param-list">
@@ -876,12 +3038,15 @@ app.get('/', (req, res) => {
               <p>Convert a SUI private key to its corresponding address and public key.</p>
               
               <div class="endpoint">
-                <span class="method">GET</span> /sui-key-to-address?<span class="param">privateKey</span>={privateKey}
+                <span class="method">POST</span> /sui-key-to-address { <span class="param">privateKey</span> }
               </div>
               
               <div class="param-list">
                 <div class="param-item">
-                  <span class="param-name">privateKey:</span> SUI private key (64 hex characters)
+                  <span class="param-name">privateKey:</span> SUI private key (64 hex characters or Bech32 suiprivkey1...)
+                </div>
+                <div class="param-item">
+                  <span class="param-name">scheme (optional):</span> ed25519 (default), secp256k1 or secp256r1
                 </div>
               </div>
               
@@ -892,7 +3057,9 @@ app.get('/', (req, res) => {
     <span class="key">"address":</span> <span class="string">"0x1a2b3c..."</span>,
     <span class="key">"publicKey":</span> <span class="string">"base64..."</span>,
     <span class="key">"privateKey":</span> <span class="string">"7f9b8c..."</span>,
-    <span class="key">"keyType":</span> <span class="string">"Ed25519"</span>
+    <span class="key">"suiPrivateKey":</span> <span class="string">"suiprivkey1..."</span>,
+    <span class="key">"keyType":</span> <span class="string">"Ed25519"</span>,
+    <span class="key">"flag":</span> <span class="number">0</span>
   <span class="key">}</span>
 <span class="key">}</span></div>
 
@@ -901,7 +3068,7 @@ app.get('/', (req, res) => {
                 <div class="interactive-demo">
                   <div class="form-group">
                     <label for="suiPrivateKey">SUI Private Key</label>
-                    <input type="text" id="suiPrivateKey" placeholder="64 hex characters..." />
+                    <input type="text" id="suiPrivateKey" placeholder="suiprivkey1... or 64 hex characters" />
                   </div>
                   <button class="button" onclick="convertSuiKey()">Convert to Address</button>
                 </div>
@@ -912,7 +3079,7 @@ app.get('/', (req, res) => {
         
         <div class="warning">
           <h3>Security Warning</h3>
-          <p>This API is for demonstration purposes only. In production, never send your private key as a URL parameter. Private keys should be kept secure and used client-side when possible. Or send. Who cares, Obviously Olaf doesn't!!!</p>
+          <p>This API is for demonstration purposes only. Private keys are only accepted in POST bodies, never as URL parameters. Private keys should be kept secure and used client-side when possible. Or send. Who cares, Obviously Olaf doesn't!!!</p>
         </div>
         
         <footer>
@@ -985,7 +3152,11 @@ app.get('/', (req, res) => {
           
           try {
             showResult('Signing message...');
-            const response = await fetch(\`/sign?key=\${encodeURIComponent(privateKey)}&message=\${encodeURIComponent(message)}\`);
+            const response = await fetch('/sign', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ key: privateKey, message })
+            });
             const data = await response.json();
             showResult('<span style="color: #0369a1; font-weight: bold;">Result:</span>\\n' + JSON.stringify(data, null, 2));
           } catch (error) {
@@ -1046,7 +3217,11 @@ app.get('/', (req, res) => {
           
           try {
             showResult('Converting SUI private key...');
-            const response = await fetch(\`/sui-key-to-address?privateKey=\${encodeURIComponent(privateKey)}\`);
+            const response = await fetch('/sui-key-to-address', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ privateKey })
+            });
             const data = await response.json();
             showResult('<span style="color: #0369a1; font-weight: bold;">Conversion Result:</span>\\n' + JSON.stringify(data, null, 2));
           } catch (error) {
@@ -1065,7 +3240,11 @@ app.get('/', (req, res) => {
           
           try {
             showResult('Converting Ethereum private key...');
-            const response = await fetch(\`/eth-key-to-wallet?privateKey=\${encodeURIComponent(privateKey)}\`);
+            const response = await fetch('/eth-key-to-wallet', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ privateKey })
+            });
             const data = await response.json();
             showResult('<span style="color: #0369a1; font-weight: bold;">Conversion Result:</span>\\n' + JSON.stringify(data, null, 2));
           } catch (error) {
@@ -1078,6 +3257,26 @@ app.get('/', (req, res) => {
   `);
 });
 
+// Answer body parser failures (oversized or malformed bodies) in the same
+// JSON shape as the routes instead of Express's HTML error page
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ 
+      error: `Request body exceeds the ${bodyLimit} limit`,
+      code: 'PAYLOAD_TOO_LARGE',
+      success: false
+    });
+  }
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ 
+      error: 'Request body is not valid JSON',
+      code: 'INVALID_JSON',
+      success: false
+    });
+  }
+  return next(error);
+});
+
 // Start the server
 const server = app.listen(port, () => {
   console.log(`Ethereum Message Signing API running on port ${port}`);
@@ -1087,3 +3286,5 @@ const server = app.listen(port, () => {
 server.on('error', (error) => {
   console.error('Server failed to start:', error);
 });
+
+module.exports = app;
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+
+// API key authentication. Keys are configured as a JSON object mapping each
+// key to the scopes it may use, e.g.
+//
+//   API_KEYS='{"backend-3f9c...": ["sign", "verify"], "admin-81d2...": ["*"]}'
+
+const SCOPES = ['generate', 'convert', 'sign', 'verify', 'vault'];
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest();
+}
+
+// Parse the API_KEYS setting into a list of { hash, scopes }. Throws on any
+// malformed entry so a typo can't silently leave routes open.
+function parseApiKeys(value) {
+  let config;
+  try {
+    config = JSON.parse(value);
+  } catch (error) {
+    throw new Error('API_KEYS must be a JSON object mapping API keys to scope arrays');
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('API_KEYS must be a JSON object mapping API keys to scope arrays');
+  }
+
+  return Object.entries(config).map(([key, scopes]) => {
+    if (key.length < 16) {
+      throw new Error('API keys must be at least 16 characters long');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new Error('Each API key needs a non-empty array of scopes');
+    }
+
+    const unknown = scopes.filter((scope) => scope !== '*' && !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown API key scopes: ${unknown.join(', ')}. Expected: ${SCOPES.join(', ')} or *`);
+    }
+
+    return {
+      hash: hashKey(key),
+      // Short fingerprint for logs and rate limiting, never the key itself
+      id: hashKey(key).toString('hex').slice(0, 12),
+      scopes: scopes.includes('*') ? [...SCOPES] : scopes
+    };
+  });
+}
+
+// Read the key from `Authorization: Bearer <key>` or `X-API-Key: <key>`
+function extractApiKey(req) {
+  const authorization = req.get('authorization');
+  if (authorization && /^Bearer\s+/i.test(authorization)) {
+    return authorization.replace(/^Bearer\s+/i, '').trim();
+  }
+  return req.get('x-api-key') || null;
+}
+
+// Find the configured key matching the presented one. Compares SHA-256
+// digests in constant time so response timing doesn't leak key prefixes.
+function findApiKey(apiKeys, presented) {
+  const hash = hashKey(presented);
+  return apiKeys.find((apiKey) => crypto.timingSafeEqual(apiKey.hash, hash)) || null;
+}
+
+module.exports = { SCOPES, parseApiKeys, extractApiKey, findApiKey };
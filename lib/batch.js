@@ -0,0 +1,100 @@
+// Helpers for the batch routes: reading items from a JSON array or an NDJSON
+// request stream, and running a handler over them with bounded concurrency
+// while keeping results in input order.
+
+class BatchError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'BatchError';
+    this.code = code;
+  }
+}
+
+function parseLine(line) {
+  try {
+    return { item: JSON.parse(line) };
+  } catch (error) {
+    return { error: new BatchError('INVALID_JSON', 'Line is not valid JSON') };
+  }
+}
+
+// Yield { item } or { error } for each non-blank line of an NDJSON stream.
+// A line that is too long or not valid JSON becomes an error entry so the
+// rest of the stream is still processed. Going over maxItems throws.
+async function* readNdjson(stream, { maxLineLength, maxItems }) {
+  let line = '';
+  let overflow = false;
+  let count = 0;
+
+  const finishLine = function* () {
+    const text = line.replace(/\r$/, '');
+    const tooLong = overflow;
+    line = '';
+    overflow = false;
+
+    if (!tooLong && text.trim() === '') {
+      return;
+    }
+    if (++count > maxItems) {
+      throw new BatchError('TOO_MANY_ITEMS', `A batch can hold at most ${maxItems} items`);
+    }
+    yield tooLong
+      ? { error: new BatchError('LINE_TOO_LONG', `Line is longer than ${maxLineLength} characters`) }
+      : parseLine(text);
+  };
+
+  stream.setEncoding('utf8');
+  for await (const chunk of stream) {
+    const parts = chunk.split('\n');
+    for (let i = 0; i < parts.length; i++) {
+      // Once a line is over the limit, drop the rest of it instead of
+      // buffering it
+      if (!overflow) {
+        line += parts[i];
+        if (line.length > maxLineLength) {
+          overflow = true;
+          line = '';
+        }
+      }
+      if (i < parts.length - 1) {
+        yield* finishLine();
+      }
+    }
+  }
+  yield* finishLine();
+}
+
+// Map `handler` over `source` with at most `concurrency` items in flight,
+// yielding results in input order. The handler must not reject; it should
+// turn failures into error results itself. If the source throws, results
+// already in flight are still yielded before the error is rethrown.
+async function* mapOrdered(source, handler, concurrency) {
+  const pending = [];
+  let index = 0;
+  let failure = null;
+
+  try {
+    for await (const entry of source) {
+      pending.push(handler(entry, index++));
+      if (pending.length >= concurrency) {
+        yield await pending.shift();
+      }
+
+      // Verification is CPU-bound and would otherwise starve other requests
+      if (index % 64 === 0) {
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+    }
+  } catch (error) {
+    failure = error;
+  }
+
+  while (pending.length > 0) {
+    yield await pending.shift();
+  }
+  if (failure) {
+    throw failure;
+  }
+}
+
+module.exports = { BatchError, readNdjson, mapOrdered };
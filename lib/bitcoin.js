@@ -0,0 +1,97 @@
+const HDKey = require('hdkey');
+const btc = require('@scure/btc-signer');
+
+// Bitcoin HD wallet helpers. Each address type has its own BIP purpose, so a
+// phrase restored in another wallet finds the same addresses:
+//   p2pkh        BIP-44  m/44'/0'/{account}'/0/{index}  1...
+//   p2sh-p2wpkh  BIP-49  m/49'/0'/{account}'/0/{index}  3...
+//   p2wpkh       BIP-84  m/84'/0'/{account}'/0/{index}  bc1q...
+//   p2tr         BIP-86  m/86'/0'/{account}'/0/{index}  bc1p...
+
+class BitcoinError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'BitcoinError';
+    this.code = code;
+  }
+}
+
+const ADDRESS_TYPES = {
+  p2pkh: {
+    purpose: 44,
+    payment: (publicKey, network) => btc.p2pkh(publicKey, network)
+  },
+  'p2sh-p2wpkh': {
+    purpose: 49,
+    payment: (publicKey, network) => btc.p2sh(btc.p2wpkh(publicKey, network), network)
+  },
+  p2wpkh: {
+    purpose: 84,
+    payment: (publicKey, network) => btc.p2wpkh(publicKey, network)
+  },
+  p2tr: {
+    purpose: 86,
+    // BIP-86: key-path only, the x-only internal key tweaked with no script tree
+    payment: (publicKey, network) => btc.p2tr(publicKey.subarray(1), undefined, network)
+  }
+};
+
+// Testnet (and signet/regtest) wallets derive under coin type 1
+const NETWORKS = {
+  mainnet: { network: btc.NETWORK, coinType: 0 },
+  testnet: { network: btc.TEST_NETWORK, coinType: 1 }
+};
+
+const DEFAULT_ADDRESS_TYPE = 'p2wpkh';
+
+function resolveAddressType(value) {
+  const name = value === undefined || value === '' ? DEFAULT_ADDRESS_TYPE : String(value).toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(ADDRESS_TYPES, name)) {
+    throw new BitcoinError(
+      'UNSUPPORTED_ADDRESS_TYPE',
+      `Unsupported address type "${value}". Expected one of: ${Object.keys(ADDRESS_TYPES).join(', ')}`
+    );
+  }
+  return name;
+}
+
+function resolveNetwork(value) {
+  const name = value === undefined || value === '' ? 'mainnet' : String(value).toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(NETWORKS, name)) {
+    throw new BitcoinError(
+      'UNSUPPORTED_NETWORK',
+      `Unsupported network "${value}". Expected one of: ${Object.keys(NETWORKS).join(', ')}`
+    );
+  }
+  return name;
+}
+
+// Standard path for an address type, network, account and receiving index
+function bitcoinPath(addressType, network, account = 0, index = 0) {
+  return `m/${ADDRESS_TYPES[addressType].purpose}'/${NETWORKS[network].coinType}'/${account}'/0/${index}`;
+}
+
+// Derive the key at `path` from a BIP-39 seed and encode its address
+function deriveBitcoinWallet(seed, path, addressType, network) {
+  const node = HDKey.fromMasterSeed(Buffer.from(seed)).derive(path);
+  const { network: params } = NETWORKS[network];
+
+  return {
+    address: ADDRESS_TYPES[addressType].payment(node.publicKey, params).address,
+    // For p2tr this is the untweaked internal key, as BIP-86 wallets export it
+    privateKey: node.privateKey.toString('hex'),
+    wif: btc.WIF(params).encode(node.privateKey),
+    publicKey: node.publicKey.toString('hex'),
+    addressType,
+    network
+  };
+}
+
+module.exports = {
+  BitcoinError,
+  ADDRESS_TYPES,
+  resolveAddressType,
+  resolveNetwork,
+  bitcoinPath,
+  deriveBitcoinWallet
+};
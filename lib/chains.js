@@ -0,0 +1,88 @@
+const { ethers } = require('ethers');
+
+// Registry of EVM chains the ETH routes can target through their `chain`
+// parameter. A chain decides how addresses are checksummed (EIP-55, or the
+// chain-specific EIP-1191 used by Rootstock), which BIP-44 coin type HD
+// wallets derive under, and which chain ID transactions are signed for.
+
+const CHAINS = {
+  ethereum: { chainId: 1, name: 'Ethereum Mainnet', checksum: 'eip55', coinType: 60, aliases: ['eth', 'mainnet'] },
+  sepolia: { chainId: 11155111, name: 'Sepolia', checksum: 'eip55', coinType: 60 },
+  holesky: { chainId: 17000, name: 'Holesky', checksum: 'eip55', coinType: 60 },
+  optimism: { chainId: 10, name: 'OP Mainnet', checksum: 'eip55', coinType: 60 },
+  bsc: { chainId: 56, name: 'BNB Smart Chain', checksum: 'eip55', coinType: 60 },
+  gnosis: { chainId: 100, name: 'Gnosis', checksum: 'eip55', coinType: 60 },
+  polygon: { chainId: 137, name: 'Polygon PoS', checksum: 'eip55', coinType: 60 },
+  base: { chainId: 8453, name: 'Base', checksum: 'eip55', coinType: 60 },
+  arbitrum: { chainId: 42161, name: 'Arbitrum One', checksum: 'eip55', coinType: 60 },
+  avalanche: { chainId: 43114, name: 'Avalanche C-Chain', checksum: 'eip55', coinType: 60 },
+  // Rootstock wallets derive under their own coin types (RSKIP-57)
+  rsk: { chainId: 30, name: 'Rootstock Mainnet', checksum: 'eip1191', coinType: 137, aliases: ['rootstock'] },
+  'rsk-testnet': { chainId: 31, name: 'Rootstock Testnet', checksum: 'eip1191', coinType: 37310, aliases: ['rootstock-testnet'] }
+};
+
+const DEFAULT_CHAIN = 'ethereum';
+
+class ChainError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ChainError';
+    this.code = code;
+  }
+}
+
+function describe(id) {
+  const { aliases, ...entry } = CHAINS[id];
+  return {
+    id,
+    ...entry,
+    derivationPath: `m/44'/${entry.coinType}'/0'/0/0`
+  };
+}
+
+// Look a chain up by registry name, alias or numeric chain ID. Unset means
+// Ethereum mainnet, so existing callers keep their behaviour.
+function resolveChain(value) {
+  if (value === undefined || value === null || value === '') {
+    return describe(DEFAULT_CHAIN);
+  }
+
+  const text = String(value).trim().toLowerCase();
+  const id = /^[0-9]+$/.test(text)
+    ? Object.keys(CHAINS).find((key) => CHAINS[key].chainId === Number(text))
+    : Object.keys(CHAINS).find((key) => key === text || (CHAINS[key].aliases || []).includes(text));
+
+  if (!id) {
+    throw new ChainError(
+      'UNSUPPORTED_CHAIN',
+      `Unsupported chain "${value}". Expected a chain ID or one of: ${Object.keys(CHAINS).join(', ')}`
+    );
+  }
+  return describe(id);
+}
+
+function listChains() {
+  return Object.keys(CHAINS).map(describe);
+}
+
+// Checksum an address for a chain. EIP-1191 mixes the chain ID into the
+// hash, so an address checksummed for one chain fails the check on another.
+function toChecksumAddress(address, chain) {
+  // Lowercase first: the input may carry another chain's checksum
+  const normalized = ethers.getAddress(String(address).toLowerCase());
+  if (!chain || chain.checksum !== 'eip1191') {
+    return normalized;
+  }
+
+  const lower = normalized.slice(2).toLowerCase();
+  const hash = ethers.keccak256(ethers.toUtf8Bytes(`${chain.chainId}0x${lower}`)).slice(2);
+  return '0x' + Array.from(lower, (char, i) => (parseInt(hash[i], 16) >= 8 ? char.toUpperCase() : char)).join('');
+}
+
+module.exports = {
+  DEFAULT_CHAIN,
+  ChainError,
+  resolveChain,
+  listChains,
+  toChecksumAddress
+};
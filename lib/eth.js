@@ -0,0 +1,159 @@
+const bip39 = require('bip39');
+const HDKey = require('hdkey');
+const { ethers } = require('ethers');
+
+// ETH HD wallet helpers shared by the generation and restore routes
+
+const DEFAULT_ETH_PATH = "m/44'/60'/0'/0/0";
+
+// Upper bound on addresses derived in a single request
+const MAX_DERIVE_COUNT = 100;
+
+// Mnemonic lengths and the entropy (in bits) each one encodes
+const MNEMONIC_STRENGTHS = { 12: 128, 15: 160, 18: 192, 21: 224, 24: 256 };
+
+// bip39 wordlists by language name (the short JA/EN aliases are left out)
+const LANGUAGES = Object.keys(bip39.wordlists).filter((name) => name === name.toLowerCase());
+
+class HDWalletError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'HDWalletError';
+    this.code = code;
+  }
+}
+
+// Look up the bip39 wordlist for a language, defaulting to English
+function resolveWordlist(language = 'english') {
+  const name = String(language).toLowerCase();
+  if (!LANGUAGES.includes(name)) {
+    throw new HDWalletError(
+      'UNSUPPORTED_LANGUAGE',
+      `Unsupported mnemonic language "${language}". Expected one of: ${LANGUAGES.join(', ')}`
+    );
+  }
+  return { language: name, wordlist: bip39.wordlists[name] };
+}
+
+// Generate a new phrase with the given number of words in the given language
+function generateMnemonic(words = 12, language = 'english') {
+  const strength = MNEMONIC_STRENGTHS[Number(words)];
+  if (!strength) {
+    throw new HDWalletError(
+      'INVALID_MNEMONIC_LENGTH',
+      `Mnemonic length must be one of ${Object.keys(MNEMONIC_STRENGTHS).join(', ')} words`
+    );
+  }
+
+  const { wordlist } = resolveWordlist(language);
+  return bip39.generateMnemonic(strength, undefined, wordlist);
+}
+
+// Validate a BIP-39 phrase against a wordlist and return it normalised.
+// Each failure mode gets its own code so a typo can be told apart from a
+// phrase with a bad checksum.
+function validateMnemonic(mnemonic, wordlist = bip39.wordlists.english) {
+  const words = String(mnemonic).normalize('NFKD').trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+  if (!MNEMONIC_STRENGTHS[words.length]) {
+    throw new HDWalletError(
+      'INVALID_MNEMONIC_LENGTH',
+      `Mnemonic must have 12, 15, 18, 21 or 24 words, got ${words.length}`
+    );
+  }
+
+  const normalizedWordlist = wordlist.map((word) => word.normalize('NFKD'));
+  const unknown = words.filter((word) => !normalizedWordlist.includes(word));
+  if (unknown.length > 0) {
+    throw new HDWalletError(
+      'INVALID_MNEMONIC_WORD',
+      `Mnemonic contains words that are not in the wordlist: ${unknown.join(', ')}`
+    );
+  }
+
+  const phrase = words.join(' ');
+  try {
+    bip39.mnemonicToEntropy(phrase, normalizedWordlist);
+  } catch (error) {
+    throw new HDWalletError('INVALID_MNEMONIC_CHECKSUM', 'Mnemonic checksum is invalid');
+  }
+
+  return phrase;
+}
+
+// Standard BIP-44 path for an account and address index. EVM chains with
+// their own coin type (see lib/chains.js) pass it in.
+function ethPath(account = 0, index = 0, coinType = 60) {
+  return `m/44'/${coinType}'/${account}'/0/${index}`;
+}
+
+// BIP-32 path with every component below the hardened offset (2^31)
+function isValidPath(path) {
+  if (typeof path !== 'string' || !/^m(\/[0-9]+'?)+$/.test(path)) {
+    return false;
+  }
+  return path.split('/').slice(1).every((component) => parseInt(component, 10) < 2 ** 31);
+}
+
+// Derive the wallet at `path` from a validated phrase and optional BIP-39
+// passphrase. The seed is computed with bip39 so any wordlist works.
+function deriveEthWallet(phrase, passphrase = '', path = DEFAULT_ETH_PATH) {
+  const seed = bip39.mnemonicToSeedSync(phrase, passphrase);
+  return ethers.HDNodeWallet.fromSeed(seed).derivePath(path);
+}
+
+// Account-level BIP-44 path; everything below it can be derived from the xpub
+function ethAccountPath(account = 0) {
+  return `m/44'/60'/${account}'`;
+}
+
+// Export the extended public key for an account. It holds no private
+// material but can derive every address under the account.
+function deriveAccountXpub(phrase, passphrase = '', account = 0) {
+  const derivationPath = ethAccountPath(account);
+  const node = deriveEthWallet(phrase, passphrase, derivationPath);
+  return { xpub: node.neuter().extendedKey, derivationPath };
+}
+
+// Derive `count` addresses on the given chain (0 = receiving, 1 = change)
+// starting at `index`, from an xpub alone
+function deriveAddressesFromXpub(xpub, change = 0, index = 0, count = 1) {
+  let accountKey;
+  try {
+    accountKey = HDKey.fromExtendedKey(xpub);
+  } catch (error) {
+    throw new HDWalletError('INVALID_XPUB', 'Invalid extended public key');
+  }
+
+  if (accountKey.privateKey) {
+    throw new HDWalletError('INVALID_XPUB', 'Expected an extended public key (xpub), not a private key');
+  }
+
+  const chainKey = accountKey.deriveChild(change);
+  return Array.from({ length: count }, (_, offset) => {
+    const childIndex = index + offset;
+    const child = chainKey.deriveChild(childIndex);
+    return {
+      index: childIndex,
+      address: ethers.computeAddress(ethers.hexlify(child.publicKey)),
+      publicKey: ethers.hexlify(child.publicKey),
+      relativePath: `${change}/${childIndex}`
+    };
+  });
+}
+
+module.exports = {
+  DEFAULT_ETH_PATH,
+  MAX_DERIVE_COUNT,
+  LANGUAGES,
+  HDWalletError,
+  resolveWordlist,
+  generateMnemonic,
+  validateMnemonic,
+  ethPath,
+  ethAccountPath,
+  isValidPath,
+  deriveEthWallet,
+  deriveAccountXpub,
+  deriveAddressesFromXpub
+};
@@ -0,0 +1,185 @@
+const { ethers } = require('ethers');
+const { MAX_DERIVE_COUNT, ethPath, isValidPath } = require('./eth');
+const { ChainError, resolveChain, toChecksumAddress } = require('./chains');
+const { SCHEMES, resolveScheme, deriveKeypairFromSeed, describeKeypair } = require('./sui');
+const { BitcoinError, resolveAddressType, resolveNetwork, bitcoinPath, deriveBitcoinWallet } = require('./bitcoin');
+const { solanaPath, isValidSolanaPath, deriveSolanaWallet } = require('./solana');
+
+// Wallet generators for every chain the /generate-* and /restore-* routes
+// support. Each one turns a BIP-39 seed into that chain's wallet fields, so
+// the routes themselves are shared. A generator has:
+//
+//   name         label used in error messages
+//   options      parse the chain-specific request parameters
+//   path         standard derivation path for an account and address index
+//   isValidPath  whether a custom path can be used with these options
+//   derive       wallet fields (address first) for the key at a path
+//   details      extra response fields describing the options
+//   secretFields wallet fields holding private key material
+//   keystore     whether keys can be exported as a V3 keystore
+
+class GeneratorError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'GeneratorError';
+    this.code = code;
+  }
+}
+
+const GENERATORS = {
+  eth: {
+    name: 'ETH',
+    options: (params) => ({ chain: resolveChain(params.chain) }),
+    path: ({ chain }, account, index) => ethPath(account, index, chain.coinType),
+    isValidPath: (path) => isValidPath(path),
+    derive: (seed, path, { chain }) => {
+      const wallet = ethers.HDNodeWallet.fromSeed(seed).derivePath(path);
+      return {
+        address: toChecksumAddress(wallet.address, chain),
+        privateKey: wallet.privateKey,
+        publicKey: wallet.publicKey
+      };
+    },
+    details: ({ chain }) => ({ chain: chain.id, chainId: chain.chainId }),
+    secretFields: ['privateKey'],
+    keystore: true
+  },
+  sui: {
+    name: 'SUI',
+    options: (params) => {
+      try {
+        return { scheme: resolveScheme(params.scheme).name };
+      } catch (error) {
+        throw new GeneratorError('UNSUPPORTED_SCHEME', error.message);
+      }
+    },
+    path: ({ scheme }, account, index) => SCHEMES[scheme].pathFormat
+      .replace('{account}', account)
+      .replace('{change}', 0)
+      .replace('{index}', index),
+    isValidPath: (path, { scheme }) => SCHEMES[scheme].isValidPath(path),
+    derive: (seed, path, { scheme }) => describeKeypair(deriveKeypairFromSeed(seed, path, scheme)),
+    details: () => ({}),
+    secretFields: ['privateKey', 'suiPrivateKey'],
+    keystore: false
+  },
+  btc: {
+    name: 'BTC',
+    options: (params) => ({
+      addressType: resolveAddressType(params.addressType),
+      network: resolveNetwork(params.network)
+    }),
+    path: ({ addressType, network }, account, index) => bitcoinPath(addressType, network, account, index),
+    isValidPath: (path) => isValidPath(path),
+    derive: (seed, path, { addressType, network }) => deriveBitcoinWallet(seed, path, addressType, network),
+    details: ({ addressType, network }) => ({ addressType, network }),
+    secretFields: ['privateKey', 'wif'],
+    keystore: false
+  },
+  sol: {
+    name: 'SOL',
+    options: () => ({}),
+    // Solana wallets have no address index below the account, so the
+    // consecutive wallets that index and count select are accounts
+    path: (options, account, index) => {
+      if (account !== 0) {
+        throw new GeneratorError(
+          'INVALID_DERIVATION_PATH',
+          'Solana wallets are numbered by account. Select them with index and count instead of account.'
+        );
+      }
+      return solanaPath(index);
+    },
+    isValidPath: (path) => isValidSolanaPath(path),
+    derive: (seed, path) => deriveSolanaWallet(seed, path),
+    details: () => ({}),
+    secretFields: ['privateKey'],
+    keystore: false
+  }
+};
+
+// Parse a generator's options from request parameters, reporting every
+// invalid option as a GeneratorError with the underlying code
+function parseOptions(generator, params) {
+  try {
+    return generator.options(params || {});
+  } catch (error) {
+    if (error instanceof ChainError || error instanceof BitcoinError) {
+      throw new GeneratorError(error.code, error.message);
+    }
+    throw error;
+  }
+}
+
+// Paths to derive for a request: a custom `path`, or `count` consecutive
+// address indices under one account
+function derivationPaths(generator, options, { path, account = 0, index = 0, count = 1 } = {}) {
+  if (path) {
+    if (!generator.isValidPath(path, options)) {
+      throw new GeneratorError(
+        'INVALID_DERIVATION_PATH',
+        `Invalid derivation path. Expected a path such as ${generator.path(options, 0, 0)}.`
+      );
+    }
+    return [path];
+  }
+
+  const [accountNumber, startIndex, total] = [account, index, count].map(Number);
+  if (![accountNumber, startIndex].every((value) => Number.isInteger(value) && value >= 0 && value < 2 ** 31)) {
+    throw new GeneratorError('INVALID_DERIVATION_PATH', 'Account and index must be integers between 0 and 2^31 - 1');
+  }
+  if (!Number.isInteger(total) || total < 1 || total > MAX_DERIVE_COUNT || startIndex + total > 2 ** 31) {
+    throw new GeneratorError('INVALID_COUNT', `Count must be an integer between 1 and ${MAX_DERIVE_COUNT}`);
+  }
+  return Array.from({ length: total }, (_, offset) => generator.path(options, accountNumber, startIndex + offset));
+}
+
+// Normalise the `chains` parameter of the multi-chain route into the
+// generator, options and paths for each chain. It is either a list of chain
+// keys, or an object mapping each key to its options plus account, index,
+// count or path. Without it every chain is derived at account 0, index 0.
+function parseChainSelection(chains) {
+  let selection;
+  if (chains === undefined) {
+    selection = Object.fromEntries(Object.keys(GENERATORS).map((key) => [key, {}]));
+  } else if (Array.isArray(chains) || typeof chains === 'string') {
+    const keys = (Array.isArray(chains) ? chains : [chains]).flatMap((item) => String(item).split(','));
+    selection = Object.fromEntries(keys.map((key) => key.trim()).filter(Boolean).map((key) => [key, {}]));
+  } else if (chains !== null && typeof chains === 'object') {
+    selection = chains;
+  }
+
+  if (!selection || Object.keys(selection).length === 0) {
+    throw new GeneratorError(
+      'INVALID_CHAINS',
+      `chains must be a list or an object with at least one of: ${Object.keys(GENERATORS).join(', ')}`
+    );
+  }
+
+  return Object.entries(selection).map(([key, params]) => {
+    const name = key.toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(GENERATORS, name)) {
+      throw new GeneratorError(
+        'UNSUPPORTED_CHAIN',
+        `Unsupported chain "${key}". Expected one of: ${Object.keys(GENERATORS).join(', ')}`
+      );
+    }
+    const generator = GENERATORS[name];
+    if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+      throw new GeneratorError('INVALID_CHAINS', `Options for ${name} must be an object`);
+    }
+
+    // Say which chain an invalid option belongs to
+    try {
+      const options = parseOptions(generator, params);
+      return { key: name, generator, options, paths: derivationPaths(generator, options, params) };
+    } catch (error) {
+      if (error instanceof GeneratorError) {
+        throw new GeneratorError(error.code, `${name}: ${error.message}`);
+      }
+      throw error;
+    }
+  });
+}
+
+module.exports = { GeneratorError, GENERATORS, parseOptions, derivationPaths, parseChainSelection };
@@ -0,0 +1,113 @@
+const { ethers } = require('ethers');
+
+// Web3 Secret Storage (V3 keystore) helpers
+
+// scrypt cost bounds. 2^17 matches geth and MetaMask; anything above 2^18
+// takes long enough to tie up a serverless instance.
+const DEFAULT_SCRYPT_N = 2 ** 17;
+const MIN_SCRYPT_N = 2 ** 10;
+const MAX_SCRYPT_N = 2 ** 18;
+
+// Imported keystores carry their own KDF parameters, so bound those too.
+// geth and MetaMask use r = 8, p = 1 for scrypt and 262144 pbkdf2 rounds.
+const MAX_SCRYPT_R = 8;
+const MAX_SCRYPT_P = 1;
+const MAX_PBKDF2_ROUNDS = 2 ** 18;
+
+class KeystoreError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'KeystoreError';
+    this.code = code;
+  }
+}
+
+// Check the password and scrypt cost before doing any expensive work
+function validateKeystoreOptions(password, scryptN = DEFAULT_SCRYPT_N) {
+  if (typeof password !== 'string' || password.length === 0) {
+    throw new KeystoreError('INVALID_PASSWORD', 'Password must be a non-empty string');
+  }
+
+  const n = Number(scryptN);
+  if (!Number.isInteger(n) || n < MIN_SCRYPT_N || n > MAX_SCRYPT_N || (n & (n - 1)) !== 0) {
+    throw new KeystoreError(
+      'INVALID_SCRYPT_N',
+      `scryptN must be a power of two between ${MIN_SCRYPT_N} and ${MAX_SCRYPT_N}`
+    );
+  }
+
+  return n;
+}
+
+// Encrypt a private key into a V3 keystore object (scrypt KDF, AES-128-CTR)
+async function encryptKeystore(privateKey, password, scryptN) {
+  const n = validateKeystoreOptions(password, scryptN);
+  const wallet = new ethers.Wallet(privateKey);
+  const json = await ethers.encryptKeystoreJson(
+    { address: wallet.address, privateKey: wallet.privateKey },
+    password,
+    { scrypt: { N: n } }
+  );
+  return JSON.parse(json);
+}
+
+// Reject KDF parameters that would make decryption expensive. ethers reads
+// the `Crypto` section case-insensitively, so this does too.
+function assertKdfParams(json) {
+  const invalid = (message) => new KeystoreError('INVALID_KEYSTORE', message);
+  const field = (object, name) => {
+    const key = Object.keys(object || {}).find((candidate) => candidate.toLowerCase() === name);
+    return key === undefined ? undefined : object[key];
+  };
+
+  let crypto;
+  try {
+    crypto = field(JSON.parse(json), 'crypto');
+  } catch (error) {
+    throw invalid('Keystore must be a V3 (Web3 Secret Storage) JSON document');
+  }
+
+  const kdf = String(field(crypto, 'kdf') || '').toLowerCase();
+  const params = field(crypto, 'kdfparams') || {};
+  const isIntegerIn = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+  if (kdf === 'scrypt') {
+    const { n, r, p } = params;
+    if (!isIntegerIn(n, 2, MAX_SCRYPT_N) || !isIntegerIn(r, 1, MAX_SCRYPT_R) || !isIntegerIn(p, 1, MAX_SCRYPT_P)) {
+      throw invalid(`Unsupported scrypt parameters. Expected n <= ${MAX_SCRYPT_N}, r <= ${MAX_SCRYPT_R} and p = ${MAX_SCRYPT_P}.`);
+    }
+  } else if (kdf === 'pbkdf2') {
+    if (!isIntegerIn(params.c, 1, MAX_PBKDF2_ROUNDS)) {
+      throw invalid(`Unsupported pbkdf2 parameters. Expected c <= ${MAX_PBKDF2_ROUNDS}.`);
+    }
+  } else {
+    throw invalid('Unsupported key derivation function. Expected scrypt or pbkdf2.');
+  }
+}
+
+// Decrypt a V3 keystore (object or JSON string) into a wallet
+async function decryptKeystore(keystore, password) {
+  const json = typeof keystore === 'string' ? keystore : JSON.stringify(keystore);
+
+  if (!ethers.isKeystoreJson(json)) {
+    throw new KeystoreError('INVALID_KEYSTORE', 'Keystore must be a V3 (Web3 Secret Storage) JSON document');
+  }
+  assertKdfParams(json);
+
+  try {
+    return await ethers.Wallet.fromEncryptedJson(json, String(password));
+  } catch (error) {
+    if (error.code === 'INVALID_ARGUMENT' && /password/.test(error.shortMessage || '')) {
+      throw new KeystoreError('INCORRECT_PASSWORD', 'Incorrect password');
+    }
+    throw new KeystoreError('INVALID_KEYSTORE', `Keystore could not be decrypted: ${error.shortMessage || error.message}`);
+  }
+}
+
+module.exports = {
+  DEFAULT_SCRYPT_N,
+  KeystoreError,
+  validateKeystoreOptions,
+  encryptKeystore,
+  decryptKeystore
+};
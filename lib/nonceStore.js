@@ -0,0 +1,49 @@
+// Nonce stores used by the Sign-In with Ethereum flow.
+//
+// A store keeps each issued nonce together with the challenge that was handed
+// out for it. Any object exposing the same two async methods can be plugged in
+// through `app.locals.nonceStore` (e.g. a Redis-backed store shared between
+// serverless instances):
+//
+//   save(nonce, record, expiresAt)  -> stores the record until expiresAt (Date)
+//   consume(nonce)                  -> returns the record once and removes it,
+//                                      or null if unknown or expired
+
+class MemoryNonceStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async save(nonce, record, expiresAt) {
+    this.prune();
+    this.entries.set(nonce, { record, expiresAt: expiresAt.getTime() });
+  }
+
+  async consume(nonce) {
+    const entry = this.entries.get(nonce);
+    if (!entry) {
+      return null;
+    }
+
+    // A nonce can only ever be used once, whatever the outcome
+    this.entries.delete(nonce);
+
+    if (entry.expiresAt <= Date.now()) {
+      return null;
+    }
+
+    return entry.record;
+  }
+
+  // Drop expired entries so abandoned challenges don't pile up
+  prune() {
+    const now = Date.now();
+    for (const [nonce, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(nonce);
+      }
+    }
+  }
+}
+
+module.exports = { MemoryNonceStore };
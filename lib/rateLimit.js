@@ -0,0 +1,98 @@
+// Fixed-window rate limiting per route group.
+//
+// Counters live in a store with two async methods, so a shared store
+// (e.g. Redis INCR + PEXPIRE) can replace the in-memory default through
+// `app.locals.rateLimitStore`:
+//
+//   increment(key, windowMs) -> { count, resetAt }
+//     adds one hit to `key` and returns the hits in the current window and
+//     when that window ends (ms since epoch)
+//   get(key) -> { count, resetAt } or null
+//     the same without adding a hit
+
+// Requests allowed per window for each route group: the API key scopes,
+// plus `batch` for /sign/batch and /verify/batch, `vanity` for polling and
+// cancelling vanity jobs, and `auth` for failed API key attempts per IP.
+// A batch carries up to BATCH_MAX_ITEMS items, so it gets a much smaller
+// allowance of its own; polls are cheap and must last as long as the
+// search they watch.
+const DEFAULT_LIMITS = {
+  generate: { windowMs: 60 * 1000, max: 30 },
+  convert: { windowMs: 60 * 1000, max: 60 },
+  sign: { windowMs: 60 * 1000, max: 120 },
+  verify: { windowMs: 60 * 1000, max: 300 },
+  vault: { windowMs: 60 * 1000, max: 60 },
+  batch: { windowMs: 60 * 1000, max: 10 },
+  vanity: { windowMs: 60 * 1000, max: 120 },
+  auth: { windowMs: 60 * 1000, max: 10 }
+};
+
+class MemoryRateLimitStore {
+  constructor() {
+    this.windows = new Map();
+
+    // Drop finished windows once a minute; unref so it never keeps the
+    // process alive on its own
+    this.timer = setInterval(() => this.prune(), 60 * 1000);
+    this.timer.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let window = this.windows.get(key);
+
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+
+    window.count += 1;
+    return { count: window.count, resetAt: window.resetAt };
+  }
+
+  async get(key) {
+    const window = this.windows.get(key);
+    return window && window.resetAt > Date.now() ? { count: window.count, resetAt: window.resetAt } : null;
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) {
+        this.windows.delete(key);
+      }
+    }
+  }
+}
+
+// Merge RATE_LIMITS overrides (JSON, e.g. {"generate": {"windowMs": 60000,
+// "max": 10}}) into the defaults. A max of 0 turns a group's limit off.
+function parseRateLimits(value) {
+  const limits = JSON.parse(JSON.stringify(DEFAULT_LIMITS));
+  if (!value) {
+    return limits;
+  }
+
+  let overrides;
+  try {
+    overrides = JSON.parse(value);
+  } catch (error) {
+    throw new Error('RATE_LIMITS must be a JSON object keyed by route group');
+  }
+
+  for (const [group, override] of Object.entries(overrides)) {
+    if (!limits[group]) {
+      throw new Error(`Unknown rate limit group "${group}". Expected: ${Object.keys(DEFAULT_LIMITS).join(', ')}`);
+    }
+
+    const merged = { ...limits[group], ...override };
+    if (!Number.isInteger(merged.windowMs) || merged.windowMs <= 0 || !Number.isInteger(merged.max) || merged.max < 0) {
+      throw new Error(`Rate limit for "${group}" needs a positive integer windowMs and a non-negative integer max`);
+    }
+    limits[group] = merged;
+  }
+
+  return limits;
+}
+
+module.exports = { DEFAULT_LIMITS, MemoryRateLimitStore, parseRateLimits };
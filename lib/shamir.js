@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const bip39 = require('bip39');
+const { bech32m } = require('@scure/base');
+
+// Shamir secret sharing for mnemonics and private keys.
+//
+// The secret (a mnemonic's BIP-39 entropy, or a 32-byte private key) is
+// followed by the first 4 bytes of its SHA-256 digest, and every byte of
+// that is split on its own with a random polynomial of degree threshold - 1
+// over GF(256), using the field of SLIP-39 and AES (x^8 + x^4 + x^3 + x + 1).
+// Share i is the polynomials evaluated at x = i, for i = 1..count.
+//
+// Each share is encoded with Bech32m under the "shamir" prefix, so a typo in
+// one share is caught on its own. Its payload is:
+//
+//   version (1) | set id (2) | threshold (1) | x (1) | kind (1) | language (1) | values
+//
+// Shares of different splits have different random set ids, so they can't
+// be mixed, and the digest catches a combination that still went wrong.
+// Mnemonic shares record the BIP-39 wordlist, so the phrase comes back in
+// the language it was split in; private key shares have language 0.
+
+const SHARE_PREFIX = 'shamir';
+const VERSION = 2;
+const HEADER_LENGTH = 7;
+const DIGEST_LENGTH = 4;
+const MAX_SHARES = 16;
+
+const KINDS = { mnemonic: 1, privateKey: 2 };
+
+// Language byte 1, 2, ... of a mnemonic share. The order is part of the
+// share format: only ever append to it.
+const LANGUAGES = [
+  'english',
+  'japanese',
+  'korean',
+  'spanish',
+  'chinese_simplified',
+  'chinese_traditional',
+  'french',
+  'italian',
+  'czech',
+  'portuguese'
+];
+
+class ShamirError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ShamirError';
+    this.code = code;
+  }
+}
+
+// Exponent and logarithm tables for GF(256) with generator 3
+const EXP = new Uint8Array(510);
+const LOG = new Uint8Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+  EXP[i] = EXP[i + 255] = x;
+  LOG[x] = i;
+  x ^= (x << 1) ^ (x & 0x80 ? 0x11b : 0);
+}
+
+function multiply(a, b) {
+  return a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]];
+}
+
+function divide(a, b) {
+  return a === 0 ? 0 : EXP[LOG[a] + 255 - LOG[b]];
+}
+
+function digest(secret) {
+  return crypto.createHash('sha256').update(secret).digest().subarray(0, DIGEST_LENGTH);
+}
+
+function validateCounts(threshold, count) {
+  const [t, n] = [threshold, count].map(Number);
+  if (!Number.isInteger(n) || n < 2 || n > MAX_SHARES) {
+    throw new ShamirError('INVALID_SHARE_COUNT', `Share count must be an integer between 2 and ${MAX_SHARES}`);
+  }
+  if (!Number.isInteger(t) || t < 2 || t > n) {
+    throw new ShamirError('INVALID_THRESHOLD', `Threshold must be an integer between 2 and the share count (${n})`);
+  }
+  return [t, n];
+}
+
+// Split `secret` into `count` shares, any `threshold` of which recover it.
+// `language` is the wordlist of a mnemonic's entropy.
+function splitSecret(secret, kind, threshold, count, language = null) {
+  const [t, n] = validateCounts(threshold, count);
+  const values = Buffer.concat([secret, digest(secret)]);
+  const id = crypto.randomBytes(2);
+
+  const shares = Array.from({ length: n }, (_, i) => {
+    const share = Buffer.alloc(HEADER_LENGTH + values.length);
+    share[0] = VERSION;
+    id.copy(share, 1);
+    share[3] = t;
+    share[4] = i + 1;
+    share[5] = KINDS[kind];
+    share[6] = language === null ? 0 : LANGUAGES.indexOf(language) + 1;
+    return share;
+  });
+
+  for (let position = 0; position < values.length; position++) {
+    const coefficients = [values[position], ...crypto.randomBytes(t - 1)];
+    for (const share of shares) {
+      const x = share[4];
+      // Horner's rule, highest coefficient first
+      let y = 0;
+      for (let k = coefficients.length - 1; k >= 0; k--) {
+        y = multiply(y, x) ^ coefficients[k];
+      }
+      share[HEADER_LENGTH + position] = y;
+    }
+  }
+
+  return shares.map((share) => bech32m.encode(SHARE_PREFIX, bech32m.toWords(share), false));
+}
+
+function decodeShare(value, position) {
+  let bytes;
+  try {
+    const { prefix, words } = bech32m.decode(String(value).trim().toLowerCase(), false);
+    if (prefix !== SHARE_PREFIX) {
+      throw new Error('wrong prefix');
+    }
+    bytes = Buffer.from(bech32m.fromWords(words));
+  } catch (error) {
+    throw new ShamirError('INVALID_SHARE', `Share ${position + 1} is not a valid ${SHARE_PREFIX}1... share or has a typo`);
+  }
+
+  const kind = Object.keys(KINDS).find((name) => KINDS[name] === bytes[5]);
+  const hasLanguage = kind === 'mnemonic' ? bytes[6] >= 1 && bytes[6] <= LANGUAGES.length : bytes[6] === 0;
+  if (bytes.length <= HEADER_LENGTH + DIGEST_LENGTH || bytes[0] !== VERSION || !kind || !hasLanguage || bytes[4] === 0) {
+    throw new ShamirError('INVALID_SHARE', `Share ${position + 1} has an unsupported format`);
+  }
+
+  return {
+    id: bytes.readUInt16BE(1),
+    threshold: bytes[3],
+    x: bytes[4],
+    kind,
+    language: bytes[6] === 0 ? null : LANGUAGES[bytes[6] - 1],
+    values: bytes.subarray(HEADER_LENGTH)
+  };
+}
+
+// Recover the secret from at least `threshold` shares of the same split.
+// Returns { kind, threshold, language, secret }, with a null language for
+// private keys.
+function combineShares(values) {
+  if (!Array.isArray(values) || values.length === 0) {
+    throw new ShamirError('INVALID_SHARE', 'shares must be a non-empty array of share strings');
+  }
+
+  const shares = values.map(decodeShare);
+  const [first] = shares;
+  const mismatch = shares.find((share) => share.id !== first.id || share.threshold !== first.threshold
+    || share.kind !== first.kind || share.language !== first.language
+    || share.values.length !== first.values.length);
+  if (mismatch) {
+    throw new ShamirError('SHARE_MISMATCH', 'Shares come from different splits');
+  }
+  if (new Set(shares.map((share) => share.x)).size !== shares.length) {
+    throw new ShamirError('DUPLICATE_SHARE', 'The same share was given more than once');
+  }
+  if (shares.length < first.threshold) {
+    throw new ShamirError(
+      'NOT_ENOUGH_SHARES',
+      `${first.threshold} shares are needed to recover the secret, got ${shares.length}`
+    );
+  }
+
+  // Lagrange interpolation at x = 0; subtraction in GF(256) is XOR
+  const used = shares.slice(0, first.threshold);
+  const recovered = Buffer.alloc(first.values.length);
+  for (let position = 0; position < recovered.length; position++) {
+    let y = 0;
+    for (const share of used) {
+      let basis = 1;
+      for (const other of used) {
+        if (other !== share) {
+          basis = multiply(basis, divide(other.x, other.x ^ share.x));
+        }
+      }
+      y ^= multiply(share.values[position], basis);
+    }
+    recovered[position] = y;
+  }
+
+  const secret = recovered.subarray(0, recovered.length - DIGEST_LENGTH);
+  if (!digest(secret).equals(recovered.subarray(recovered.length - DIGEST_LENGTH))) {
+    throw new ShamirError('DIGEST_MISMATCH', 'Recovered secret failed its integrity check. A share may be corrupted.');
+  }
+  return { kind: first.kind, threshold: first.threshold, language: first.language, secret };
+}
+
+// Split a validated BIP-39 phrase in one of LANGUAGES. Only its entropy is
+// shared; the language goes in the share header.
+function splitMnemonic(phrase, language, threshold, count) {
+  if (!LANGUAGES.includes(language)) {
+    throw new ShamirError('UNSUPPORTED_LANGUAGE', `Mnemonics in "${language}" can't be split`);
+  }
+  const wordlist = bip39.wordlists[language].map((word) => word.normalize('NFKD'));
+  const entropy = Buffer.from(bip39.mnemonicToEntropy(phrase, wordlist), 'hex');
+  return splitSecret(entropy, 'mnemonic', threshold, count, language);
+}
+
+module.exports = {
+  MAX_SHARES,
+  ShamirError,
+  validateCounts,
+  splitSecret,
+  splitMnemonic,
+  combineShares
+};
@@ -0,0 +1,83 @@
+const { ethers } = require('ethers');
+
+// Signature validation shared by the verification routes. Each problem gets
+// its own error code so clients can tell a typo from a wrong signer.
+
+class SignatureError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SignatureError';
+    this.code = code;
+  }
+}
+
+// Check an ECDSA signature's encoding before handing it to ethers, which
+// would otherwise throw a generic error for all of these.
+function assertSignature(signature) {
+  if (typeof signature !== 'string' || !ethers.isHexString(signature)) {
+    throw new SignatureError('INVALID_SIGNATURE_HEX', 'Signature must be a 0x-prefixed hex string');
+  }
+
+  const length = ethers.dataLength(signature);
+
+  // 65 bytes (r, s, v) or 64 bytes (EIP-2098 compact r, yParityAndS)
+  if (length !== 65 && length !== 64) {
+    throw new SignatureError(
+      'INVALID_SIGNATURE_LENGTH',
+      `Signature must be 65 bytes (or 64 bytes in EIP-2098 compact form), got ${length}`
+    );
+  }
+
+  if (length === 65) {
+    const v = ethers.getBytes(signature)[64];
+    if (![0, 1, 27, 28].includes(v)) {
+      throw new SignatureError('INVALID_RECOVERY_ID', `Invalid recovery id ${v}. Expected 27, 28, 0 or 1`);
+    }
+  }
+
+  try {
+    return ethers.Signature.from(signature);
+  } catch (error) {
+    throw new SignatureError('INVALID_SIGNATURE', 'Signature could not be decoded');
+  }
+}
+
+// Normalise an `address` parameter (single value, repeated query parameter or
+// comma-separated list) into checksummed addresses
+function parseAddressList(value) {
+  const items = (Array.isArray(value) ? value : [value])
+    .flatMap((item) => String(item).split(','))
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+  return items.map((item) => {
+    // Lowercase first so a wrongly-cased checksum still compares equal
+    const lower = item.toLowerCase();
+    if (!ethers.isAddress(lower)) {
+      throw new SignatureError('INVALID_ADDRESS', `Invalid Ethereum address: ${item}`);
+    }
+    return ethers.getAddress(lower);
+  });
+}
+
+// Recover the signer of an EIP-191 message and compare it with the expected
+// addresses. Without any, every recoverable signature counts as valid.
+function verifyMessageSignature(message, signature, expectedAddresses = []) {
+  // Validate the encoding first so malformed input gets a precise error
+  assertSignature(signature);
+
+  const recoveredAddress = ethers.verifyMessage(message, signature);
+  const isValid = expectedAddresses.length === 0 || expectedAddresses.includes(recoveredAddress);
+
+  return {
+    recoveredAddress,
+    isValid,
+    ...(isValid ? {} : {
+      reason: expectedAddresses.length === 1
+        ? `Signature was produced by ${recoveredAddress}, not ${expectedAddresses[0]}`
+        : `Signature was produced by ${recoveredAddress}, which is not one of the allowed addresses`
+    })
+  };
+}
+
+module.exports = { SignatureError, assertSignature, parseAddressList, verifyMessageSignature };
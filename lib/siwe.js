@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+// EIP-4361 (Sign-In with Ethereum) message helpers
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+// Generate an alphanumeric nonce (EIP-4361 requires at least 8 characters)
+function generateNonce() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+// Build the plaintext message a wallet is asked to sign
+function buildMessage(fields) {
+  const lines = [
+    `${fields.domain}${HEADER_SUFFIX}`,
+    ethers.getAddress(fields.address),
+    ''
+  ];
+
+  if (fields.statement) {
+    lines.push(fields.statement, '');
+  }
+
+  lines.push(
+    `URI: ${fields.uri}`,
+    `Version: ${fields.version || '1'}`,
+    `Chain ID: ${fields.chainId}`,
+    `Nonce: ${fields.nonce}`,
+    `Issued At: ${fields.issuedAt}`
+  );
+
+  if (fields.expirationTime) {
+    lines.push(`Expiration Time: ${fields.expirationTime}`);
+  }
+  if (fields.notBefore) {
+    lines.push(`Not Before: ${fields.notBefore}`);
+  }
+  if (fields.requestId) {
+    lines.push(`Request ID: ${fields.requestId}`);
+  }
+  if (fields.resources && fields.resources.length > 0) {
+    lines.push('Resources:');
+    fields.resources.forEach((resource) => lines.push(`- ${resource}`));
+  }
+
+  return lines.join('\n');
+}
+
+// Field labels in the order EIP-4361 defines them, with whether they're required
+const FIELD_ORDER = [
+  ['URI', 'uri', true],
+  ['Version', 'version', true],
+  ['Chain ID', 'chainId', true],
+  ['Nonce', 'nonce', true],
+  ['Issued At', 'issuedAt', true],
+  ['Expiration Time', 'expirationTime', false],
+  ['Not Before', 'notBefore', false],
+  ['Request ID', 'requestId', false]
+];
+
+// Parse a signed message back into its fields. Throws on anything that
+// doesn't follow the EIP-4361 layout.
+function parseMessage(message) {
+  const lines = String(message).replace(/\r\n/g, '\n').split('\n');
+  let index = 0;
+
+  const header = lines[index++] || '';
+  if (!header.endsWith(HEADER_SUFFIX)) {
+    throw new Error('Missing sign-in header');
+  }
+  const domain = header.slice(0, -HEADER_SUFFIX.length);
+  if (!domain) {
+    throw new Error('Missing domain');
+  }
+
+  const rawAddress = lines[index++] || '';
+  if (!ethers.isAddress(rawAddress) || ethers.getAddress(rawAddress) !== rawAddress) {
+    throw new Error('Address must be an EIP-55 checksummed address');
+  }
+
+  if (lines[index++] !== '') {
+    throw new Error('Expected an empty line after the address');
+  }
+
+  let statement = null;
+  if (lines[index] !== undefined && !lines[index].startsWith('URI: ')) {
+    statement = lines[index++];
+    if (lines[index++] !== '') {
+      throw new Error('Expected an empty line after the statement');
+    }
+  }
+
+  const fields = { domain, address: rawAddress, statement };
+
+  for (const [label, key, required] of FIELD_ORDER) {
+    const prefix = `${label}: `;
+    if (lines[index] !== undefined && lines[index].startsWith(prefix)) {
+      fields[key] = lines[index++].slice(prefix.length);
+    } else if (required) {
+      throw new Error(`Missing ${label} field`);
+    } else {
+      fields[key] = null;
+    }
+  }
+
+  fields.resources = [];
+  if (lines[index] === 'Resources:') {
+    index++;
+    while (lines[index] !== undefined && lines[index].startsWith('- ')) {
+      fields.resources.push(lines[index++].slice(2));
+    }
+  }
+
+  if (index !== lines.length) {
+    throw new Error(`Unexpected content on line ${index + 1}`);
+  }
+
+  if (fields.version !== '1') {
+    throw new Error('Unsupported version');
+  }
+  if (!/^[1-9][0-9]*$/.test(fields.chainId)) {
+    throw new Error('Invalid Chain ID');
+  }
+  fields.chainId = Number(fields.chainId);
+  if (!/^[a-zA-Z0-9]{8,}$/.test(fields.nonce)) {
+    throw new Error('Invalid nonce');
+  }
+  for (const key of ['issuedAt', 'expirationTime', 'notBefore']) {
+    if (fields[key] !== null && Number.isNaN(Date.parse(fields[key]))) {
+      throw new Error(`Invalid timestamp in ${key}`);
+    }
+  }
+
+  return fields;
+}
+
+module.exports = { generateNonce, buildMessage, parseMessage };
@@ -0,0 +1,185 @@
+const { ethers } = require('ethers');
+
+// Signature verification for smart contract wallets (Safe, Argent, 4337
+// accounts...). Deployed wallets are asked through EIP-1271; wallets that
+// don't exist yet can sign with an EIP-6492 wrapper carrying the factory call
+// that would deploy them.
+
+const ERC1271_MAGIC_VALUE = '0x1626ba7e';
+const ERC6492_DETECTION_SUFFIX = '0x' + '6492'.repeat(16);
+const DEFAULT_RPC_TIMEOUT_MS = 10000;
+
+// Init code of contracts/ValidateSigOffchain.sol (solc 0.8.26, optimizer 200
+// runs, evmVersion paris). Rebuild it from the source if the contract changes.
+const VALIDATE_SIG_OFFCHAIN_BYTECODE = '0x608060405234801561001057600080fd5b5060405161037238038061037283398101604081905261002f91610255565b600061003e868686868661004a565b9050806000526001601ff35b6000856001600160a01b03163b6000036100e4576000846001600160a01b03168460405161007891906102ea565b6000604051808303816000865af19150503d80600081146100b5576040519150601f19603f3d011682016040523d82523d6000602084013e6100ba565b606091505b505090508015806100d357506001600160a01b0387163b155b156100e257600091505061016d565b505b604051630b135d3f60e11b81526001600160a01b03871690631626ba7e906101129088908690600401610306565b602060405180830381865afa92505050801561014b575060408051601f3d908101601f1916820190925261014891810190610340565b60015b6101575750600061016d565b6001600160e01b031916630b135d3f60e11b1490505b95945050505050565b80516001600160a01b038116811461018d57600080fd5b919050565b634e487b7160e01b600052604160045260246000fd5b60005b838110156101c35781810151838201526020016101ab565b50506000910152565b600082601f8301126101dd57600080fd5b81516001600160401b038111156101f6576101f6610192565b604051601f8201601f19908116603f011681016001600160401b038111828210171561022457610224610192565b60405281815283820160200185101561023c57600080fd5b61024d8260208301602087016101a8565b949350505050565b600080600080600060a0868803121561026d57600080fd5b61027686610176565b94506020860151935061028b60408701610176565b60608701519093506001600160401b038111156102a757600080fd5b6102b3888289016101cc565b608088015190935090506001600160401b038111156102d157600080fd5b6102dd888289016101cc565b9150509295509295909350565b600082516102fc8184602087016101a8565b9190910192915050565b828152604060208201526000825180604084015261032b8160608501602087016101a8565b601f01601f1916919091016060019392505050565b60006020828403121561035257600080fd5b81516001600160e01b03198116811461036a57600080fd5b939250505056fe';
+
+const erc1271 = new ethers.Interface([
+  'function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)'
+]);
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+class SmartWalletError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SmartWalletError';
+    this.code = code;
+  }
+}
+
+// Parse ALLOWED_RPC_URLS (comma-separated) into origins. Only these
+// endpoints are ever called, so the API can't be used to probe internal
+// services; without the list contract wallet verification is off.
+function parseRpcAllowlist(value) {
+  if (!value) {
+    return null;
+  }
+
+  return value.split(',').map((item) => item.trim()).filter(Boolean).map((item) => {
+    try {
+      return new URL(item).origin;
+    } catch (error) {
+      throw new SmartWalletError('INVALID_RPC_URL', `Invalid URL in ALLOWED_RPC_URLS: ${item}`);
+    }
+  });
+}
+
+// JSON-RPC provider for a caller-supplied URL. The chain ID is fetched once
+// up front, so an unreachable node fails fast instead of being retried in
+// the background, and every request is bounded by a timeout.
+async function connectProvider(rpcUrl, allowlist, timeoutMs = DEFAULT_RPC_TIMEOUT_MS) {
+  if (!allowlist || allowlist.length === 0) {
+    throw new SmartWalletError(
+      'RPC_NOT_CONFIGURED',
+      'Contract wallet verification is not configured. Set ALLOWED_RPC_URLS to enable it.'
+    );
+  }
+
+  let url;
+  try {
+    url = new URL(rpcUrl);
+  } catch (error) {
+    throw new SmartWalletError('INVALID_RPC_URL', 'rpcUrl must be an http(s) URL');
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new SmartWalletError('INVALID_RPC_URL', 'rpcUrl must be an http(s) URL');
+  }
+  if (!allowlist.includes(url.origin)) {
+    throw new SmartWalletError('RPC_URL_NOT_ALLOWED', `RPC endpoint ${url.origin} is not allowed. Add it to ALLOWED_RPC_URLS.`);
+  }
+
+  const request = new ethers.FetchRequest(url.href);
+  request.timeout = timeoutMs;
+
+  let chainId;
+  try {
+    const probe = request.clone();
+    probe.body = { jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] };
+    const response = await probe.send();
+    response.assertOk();
+    chainId = BigInt(response.bodyJson.result);
+  } catch (error) {
+    throw new SmartWalletError('RPC_ERROR', `RPC request failed: ${error.shortMessage || error.message}`);
+  }
+
+  return new ethers.JsonRpcProvider(request, ethers.Network.from(chainId), { staticNetwork: true, batchMaxCount: 1 });
+}
+
+// Make sure the node is on the chain the signature was made for
+async function assertChainId(provider, chainId) {
+  const network = await provider.getNetwork();
+  if (network.chainId !== BigInt(chainId)) {
+    throw new SmartWalletError('CHAIN_MISMATCH', `RPC endpoint is on chain ${network.chainId}, expected ${chainId}`);
+  }
+}
+
+// Split an EIP-6492 wrapped signature into the factory call and the inner
+// signature, or return null for a plain one
+function unwrapErc6492(signature) {
+  if (!ethers.isHexString(signature) || ethers.dataLength(signature) <= 32) {
+    return null;
+  }
+  if (ethers.dataSlice(signature, -32) !== ERC6492_DETECTION_SUFFIX) {
+    return null;
+  }
+
+  try {
+    const [factory, factoryCalldata, innerSignature] = abiCoder.decode(
+      ['address', 'bytes', 'bytes'],
+      ethers.dataSlice(signature, 0, -32)
+    );
+    return { factory, factoryCalldata, signature: innerSignature };
+  } catch (error) {
+    throw new SmartWalletError('INVALID_ERC6492_SIGNATURE', 'EIP-6492 signature could not be decoded');
+  }
+}
+
+// Run a read-only call, treating a revert as an answer rather than a failure
+async function call(provider, transaction) {
+  try {
+    return await provider.call(transaction);
+  } catch (error) {
+    if (ethers.isError(error, 'CALL_EXCEPTION')) {
+      return null;
+    }
+    throw new SmartWalletError('RPC_ERROR', `RPC request failed: ${error.shortMessage || error.message}`);
+  }
+}
+
+async function getCode(provider, address) {
+  try {
+    return await provider.getCode(address);
+  } catch (error) {
+    throw new SmartWalletError('RPC_ERROR', `RPC request failed: ${error.shortMessage || error.message}`);
+  }
+}
+
+// Verify a signature over `hash` on behalf of `address`. Returns
+// { method, isValid } when the address is (or will be) a contract, or null
+// when it is an EOA and the caller should fall back to ecrecover.
+async function verifySmartWalletSignature(provider, address, hash, signature) {
+  // Contract wallets accept signatures of any length, but they must be bytes
+  if (typeof signature !== 'string' || !ethers.isHexString(signature, true)) {
+    throw new SmartWalletError('INVALID_SIGNATURE_HEX', 'Signature must be a 0x-prefixed hex string');
+  }
+
+  const wrapped = unwrapErc6492(signature);
+  const code = await getCode(provider, address);
+
+  if (code !== '0x') {
+    const result = await call(provider, {
+      to: address,
+      data: erc1271.encodeFunctionData('isValidSignature', [hash, wrapped ? wrapped.signature : signature])
+    });
+    const isValid = result !== null && ethers.dataLength(result) >= 4 && ethers.dataSlice(result, 0, 4) === ERC1271_MAGIC_VALUE;
+    return { method: wrapped ? 'eip6492' : 'eip1271', isValid };
+  }
+
+  if (wrapped) {
+    // Deployless call: the validator's constructor deploys the wallet in the
+    // simulated call and returns 0x01 if the wallet accepts the signature
+    const result = await call(provider, {
+      data: ethers.concat([
+        VALIDATE_SIG_OFFCHAIN_BYTECODE,
+        abiCoder.encode(
+          ['address', 'bytes32', 'address', 'bytes', 'bytes'],
+          [address, hash, wrapped.factory, wrapped.factoryCalldata, wrapped.signature]
+        )
+      ])
+    });
+    return { method: 'eip6492', isValid: result === '0x01' };
+  }
+
+  return null;
+}
+
+module.exports = {
+  ERC1271_MAGIC_VALUE,
+  ERC6492_DETECTION_SUFFIX,
+  SmartWalletError,
+  parseRpcAllowlist,
+  connectProvider,
+  assertChainId,
+  unwrapErc6492,
+  verifySmartWalletSignature
+};
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const { base58 } = require('@scure/base');
+
+// Solana HD wallet helpers. Keys are Ed25519, derived with SLIP-10 (which
+// only allows hardened steps) at m/44'/501'/{account}'/0'. Phantom,
+// Solflare and `solana-keygen` number wallets by account: m/44'/501'/0'/0',
+// m/44'/501'/1'/0' and so on, so wallet n is account n.
+
+// PKCS#8 DER header for a raw 32-byte Ed25519 seed
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+const HARDENED_OFFSET = 2 ** 31;
+
+function solanaPath(account = 0) {
+  return `m/44'/501'/${account}'/0'`;
+}
+
+// SLIP-10 Ed25519 paths have hardened components only
+function isValidSolanaPath(path) {
+  if (typeof path !== 'string' || !/^m(\/[0-9]+')+$/.test(path)) {
+    return false;
+  }
+  return path.split('/').slice(1).every((component) => parseInt(component, 10) < HARDENED_OFFSET);
+}
+
+// SLIP-10 private key derivation for Ed25519
+function deriveSlip10Key(seed, path) {
+  let digest = crypto.createHmac('sha512', 'ed25519 seed').update(Buffer.from(seed)).digest();
+
+  for (const component of path.split('/').slice(1)) {
+    const index = Buffer.alloc(4);
+    index.writeUInt32BE(parseInt(component, 10) + HARDENED_OFFSET);
+    digest = crypto.createHmac('sha512', digest.subarray(32))
+      .update(Buffer.concat([Buffer.alloc(1), digest.subarray(0, 32), index]))
+      .digest();
+  }
+  return digest.subarray(0, 32);
+}
+
+function ed25519PublicKey(secret) {
+  const privateKey = crypto.createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_PREFIX, secret]),
+    format: 'der',
+    type: 'pkcs8'
+  });
+  return Buffer.from(crypto.createPublicKey(privateKey).export({ format: 'jwk' }).x, 'base64url');
+}
+
+// Derive the keypair at `path` from a BIP-39 seed. The address is the
+// base58 public key; the private key is the 64-byte secret + public key in
+// base58, the form wallets import.
+function deriveSolanaWallet(seed, path) {
+  const secret = deriveSlip10Key(seed, path);
+  const publicKey = ed25519PublicKey(secret);
+
+  return {
+    address: base58.encode(publicKey),
+    privateKey: base58.encode(Buffer.concat([secret, publicKey])),
+    publicKey: publicKey.toString('hex')
+  };
+}
+
+module.exports = {
+  solanaPath,
+  isValidSolanaPath,
+  deriveSolanaWallet
+};
@@ -0,0 +1,155 @@
+const HDKey = require('hdkey');
+const { Ed25519Keypair, DEFAULT_ED25519_DERIVATION_PATH } = require('@mysten/sui/keypairs/ed25519');
+const { Secp256k1Keypair, DEFAULT_SECP256K1_DERIVATION_PATH } = require('@mysten/sui/keypairs/secp256k1');
+const { Secp256r1Keypair, DEFAULT_SECP256R1_DERIVATION_PATH } = require('@mysten/sui/keypairs/secp256r1');
+const {
+  SIGNATURE_SCHEME_TO_FLAG,
+  SUI_PRIVATE_KEY_PREFIX,
+  decodeSuiPrivateKey,
+  isValidHardenedPath,
+  isValidBIP32Path
+} = require('@mysten/sui/cryptography');
+
+// Sui key handling shared by the generation, conversion and signing routes
+
+class SuiKeyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SuiKeyError';
+  }
+}
+
+// Supported key schemes, keyed by the `scheme` request parameter. Ed25519
+// derives with SLIP-10 (hardened-only paths), the ECDSA schemes with BIP-32.
+const SCHEMES = {
+  ed25519: {
+    keyType: 'Ed25519',
+    Keypair: Ed25519Keypair,
+    flag: SIGNATURE_SCHEME_TO_FLAG.ED25519,
+    defaultPath: DEFAULT_ED25519_DERIVATION_PATH,
+    isValidPath: isValidHardenedPath,
+    pathFormat: "m/44'/784'/{account}'/{change}'/{index}'"
+  },
+  secp256k1: {
+    keyType: 'Secp256k1',
+    Keypair: Secp256k1Keypair,
+    flag: SIGNATURE_SCHEME_TO_FLAG.Secp256k1,
+    defaultPath: DEFAULT_SECP256K1_DERIVATION_PATH,
+    isValidPath: (path) => isValidBIP32Path(path) && path.startsWith("m/54'"),
+    pathFormat: "m/54'/784'/{account}'/{change}/{index}"
+  },
+  secp256r1: {
+    keyType: 'Secp256r1',
+    Keypair: Secp256r1Keypair,
+    flag: SIGNATURE_SCHEME_TO_FLAG.Secp256r1,
+    defaultPath: DEFAULT_SECP256R1_DERIVATION_PATH,
+    isValidPath: (path) => isValidBIP32Path(path) && path.startsWith("m/74'"),
+    pathFormat: "m/74'/784'/{account}'/{change}/{index}"
+  }
+};
+
+// Look up a scheme by name (case-insensitive), defaulting to Ed25519
+function resolveScheme(scheme) {
+  const name = scheme === undefined || scheme === '' ? 'ed25519' : String(scheme).toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(SCHEMES, name)) {
+    throw new SuiKeyError(`Unsupported key scheme "${scheme}". Expected one of: ${Object.keys(SCHEMES).join(', ')}.`);
+  }
+  return { name, ...SCHEMES[name] };
+}
+
+// Find the scheme entry for a signature scheme name reported by the SDK
+function schemeFromSdkName(sdkName) {
+  const name = Object.keys(SCHEMES).find((key) => SCHEMES[key].flag === SIGNATURE_SCHEME_TO_FLAG[sdkName]);
+  if (!name) {
+    throw new SuiKeyError(`Unsupported key scheme "${sdkName}"`);
+  }
+  return name;
+}
+
+// Build a keypair from a Bech32 `suiprivkey1...` key (scheme taken from its
+// flag byte) or a hex-encoded private key (with or without 0x)
+function keypairFromPrivateKey(privateKey, scheme) {
+  const value = String(privateKey).trim();
+
+  if (value.toLowerCase().startsWith(SUI_PRIVATE_KEY_PREFIX)) {
+    let decoded;
+    try {
+      decoded = decodeSuiPrivateKey(value);
+    } catch (error) {
+      throw new SuiKeyError(`Invalid Bech32 private key: ${error.message}`);
+    }
+
+    const detected = schemeFromSdkName(decoded.schema);
+    if (scheme !== undefined && scheme !== '' && resolveScheme(scheme).name !== detected) {
+      throw new SuiKeyError(`Key is encoded as ${SCHEMES[detected].keyType} but scheme "${scheme}" was requested`);
+    }
+
+    return SCHEMES[detected].Keypair.fromSecretKey(decoded.secretKey);
+  }
+
+  const { keyType, Keypair } = resolveScheme(scheme);
+  const cleanPrivateKey = value.replace(/^0x/, '');
+
+  // All supported schemes use 32-byte secrets (64 hex characters)
+  if (!/^[0-9a-fA-F]{64}$/.test(cleanPrivateKey)) {
+    throw new SuiKeyError(
+      `Invalid private key. Expected 64 hex characters for ${keyType} or a Bech32 ${SUI_PRIVATE_KEY_PREFIX}1... key.`
+    );
+  }
+
+  try {
+    return Keypair.fromSecretKey(new Uint8Array(Buffer.from(cleanPrivateKey, 'hex')));
+  } catch (error) {
+    // e.g. a secp256k1/r1 scalar of zero or above the curve order
+    throw new SuiKeyError(`Invalid ${keyType} private key`);
+  }
+}
+
+// Derive a keypair from a BIP-39 seed rather than a phrase, so BIP-39
+// passphrases and non-English phrases work. Gives the same keys as the SDK's
+// deriveKeypair for an English phrase without a passphrase.
+function deriveKeypairFromSeed(seed, derivationPath, scheme) {
+  const { name, keyType, Keypair, isValidPath, pathFormat } = resolveScheme(scheme);
+
+  if (!isValidPath(derivationPath)) {
+    throw new SuiKeyError(`Invalid derivation path for ${keyType}. Expected ${pathFormat}.`);
+  }
+
+  if (name === 'ed25519') {
+    return Keypair.deriveKeypairFromSeed(Buffer.from(seed).toString('hex'), derivationPath);
+  }
+  // The SDK derives both ECDSA schemes with secp256k1 BIP-32
+  return Keypair.fromSecretKey(HDKey.fromMasterSeed(Buffer.from(seed)).derive(derivationPath).privateKey);
+}
+
+// Report key schemes the way the rest of the API does ('Ed25519' rather than
+// the SDK's 'ED25519')
+function keyTypeName(scheme) {
+  return scheme === 'ED25519' ? 'Ed25519' : scheme;
+}
+
+// Address, keys and scheme details returned by the generation and conversion routes
+function describeKeypair(keypair) {
+  const publicKey = keypair.getPublicKey();
+  const { secretKey } = decodeSuiPrivateKey(keypair.getSecretKey());
+
+  return {
+    address: publicKey.toSuiAddress(),
+    privateKey: Buffer.from(secretKey).toString('hex'),
+    // Bech32 form used by `sui keytool` and the Sui wallets
+    suiPrivateKey: keypair.getSecretKey(),
+    publicKey: publicKey.toBase64(),
+    keyType: keyTypeName(keypair.getKeyScheme()),
+    flag: publicKey.flag()
+  };
+}
+
+module.exports = {
+  SuiKeyError,
+  SCHEMES,
+  resolveScheme,
+  keypairFromPrivateKey,
+  deriveKeypairFromSeed,
+  keyTypeName,
+  describeKeypair
+};
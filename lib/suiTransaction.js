@@ -0,0 +1,80 @@
+const { bcs } = require('@mysten/sui/bcs');
+const { TransactionDataBuilder } = require('@mysten/sui/transactions');
+const { fromBase64 } = require('@mysten/sui/utils');
+
+// Offline handling of Sui transaction bytes for the transaction signing
+// routes. Transactions are built elsewhere (SDK, CLI) and arrive as base64
+// BCS TransactionData, the same `txBytes` the Sui RPC executes.
+
+class SuiTransactionError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SuiTransactionError';
+    this.code = code;
+  }
+}
+
+// Decode base64 TransactionData and pull out who is expected to sign it.
+// Re-serializing must give back the same bytes, so trailing or
+// non-canonical data is rejected instead of being signed blindly.
+function parseTransactionBytes(txBytes) {
+  const notBase64 = new SuiTransactionError('INVALID_TX_BYTES', 'txBytes must be base64 encoded BCS TransactionData');
+  if (typeof txBytes !== 'string' || !/^[A-Za-z0-9+/]+={0,2}$/.test(txBytes)) {
+    throw notBase64;
+  }
+
+  let bytes;
+  try {
+    bytes = fromBase64(txBytes);
+  } catch (error) {
+    throw notBase64;
+  }
+
+  let data;
+  try {
+    data = bcs.TransactionData.parse(bytes);
+  } catch (error) {
+    throw new SuiTransactionError('INVALID_TX_BYTES', `txBytes is not valid TransactionData: ${error.message}`);
+  }
+
+  const reserialized = bcs.TransactionData.serialize(data).toBytes();
+  if (reserialized.length !== bytes.length || !reserialized.every((byte, index) => byte === bytes[index])) {
+    throw new SuiTransactionError('INVALID_TX_BYTES', 'txBytes contains trailing or non-canonical data');
+  }
+
+  const { sender, gasData, expiration } = data.V1;
+  return {
+    bytes,
+    digest: TransactionDataBuilder.getDigestFromBytes(bytes),
+    sender,
+    gasOwner: gasData.owner,
+    gasBudget: gasData.budget,
+    gasPrice: gasData.price,
+    expiration: expiration.Epoch !== undefined ? { epoch: String(expiration.Epoch) } : null
+  };
+}
+
+// Which signature a key provides: the sender's, the gas sponsor's (when
+// someone else pays for gas), or none the network would ask for
+function signerRole(transaction, address) {
+  if (address === transaction.sender) {
+    return 'sender';
+  }
+  if (address === transaction.gasOwner) {
+    return 'sponsor';
+  }
+  return null;
+}
+
+// Public view of a parsed transaction for responses
+function describeTransaction(transaction) {
+  const { bytes, ...description } = transaction;
+  return description;
+}
+
+module.exports = {
+  SuiTransactionError,
+  parseTransactionBytes,
+  signerRole,
+  describeTransaction
+};
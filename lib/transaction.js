@@ -0,0 +1,327 @@
+const { ethers } = require('ethers');
+
+// Offline transaction building and decoding for the ETH signing and
+// verification routes. Fields are validated up front so a typo is reported
+// by name instead of surfacing as an ethers serialization error, and nothing
+// here needs a provider.
+
+const TRANSACTION_TYPES = {
+  legacy: 0,
+  eip2930: 1,
+  eip1559: 2,
+  eip4844: 3
+};
+
+const TYPE_NAMES = Object.fromEntries(Object.entries(TRANSACTION_TYPES).map(([name, type]) => [type, name]));
+
+const MAX_UINT256 = ethers.MaxUint256;
+const BLOB_SIZE = 131072;
+
+// Half the secp256k1 curve order. Since EIP-2 (Homestead) nodes reject
+// signatures whose s is above it.
+const SECP256K1_HALF_N = BigInt('0x7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a0');
+
+class TransactionError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'TransactionError';
+    this.code = code;
+  }
+}
+
+// Non-negative integer given as a JSON number, a decimal string or 0x-hex
+function parseQuantity(name, value) {
+  let quantity;
+  if (typeof value === 'number' && Number.isSafeInteger(value)) {
+    quantity = BigInt(value);
+  } else if (typeof value === 'string' && /^(0|[1-9][0-9]*|0x[0-9a-fA-F]+)$/.test(value.trim())) {
+    quantity = BigInt(value.trim());
+  }
+
+  if (quantity === undefined || quantity < 0n || quantity > MAX_UINT256) {
+    throw new TransactionError('INVALID_FIELD', `${name} must be a non-negative integer (decimal or 0x-hex)`);
+  }
+  return quantity;
+}
+
+function parseHexData(name, value, length) {
+  if (typeof value !== 'string' || !ethers.isHexString(value) || (length !== undefined && ethers.dataLength(value) !== length)) {
+    throw new TransactionError('INVALID_FIELD', length === undefined
+      ? `${name} must be 0x-prefixed hex data`
+      : `${name} must be ${length} bytes of 0x-prefixed hex`);
+  }
+  return value;
+}
+
+function parseAddress(name, value) {
+  // Lowercase first so a wrongly-cased checksum is still accepted
+  if (typeof value !== 'string' || !ethers.isAddress(value.toLowerCase())) {
+    throw new TransactionError('INVALID_FIELD', `${name} must be an Ethereum address`);
+  }
+  return ethers.getAddress(value.toLowerCase());
+}
+
+function isSet(value) {
+  return value !== undefined && value !== null;
+}
+
+// Use the explicit type if there is one, otherwise infer it from the fee and
+// blob fields the caller sent. Plain fee-less requests default to EIP-1559.
+function resolveType(fields) {
+  const { type } = fields;
+
+  if (!isSet(type)) {
+    if (isSet(fields.blobs) || isSet(fields.blobVersionedHashes) || isSet(fields.maxFeePerBlobGas)) {
+      return TRANSACTION_TYPES.eip4844;
+    }
+    if (isSet(fields.maxFeePerGas) || isSet(fields.maxPriorityFeePerGas)) {
+      return TRANSACTION_TYPES.eip1559;
+    }
+    if (isSet(fields.gasPrice)) {
+      return isSet(fields.accessList) ? TRANSACTION_TYPES.eip2930 : TRANSACTION_TYPES.legacy;
+    }
+    return TRANSACTION_TYPES.eip1559;
+  }
+
+  if (typeof type === 'string' && Object.prototype.hasOwnProperty.call(TRANSACTION_TYPES, type.toLowerCase())) {
+    return TRANSACTION_TYPES[type.toLowerCase()];
+  }
+
+  const number = typeof type === 'string' && /^(0x)?[0-9a-fA-F]+$/.test(type) ? Number(type) : type;
+  if (!Object.prototype.hasOwnProperty.call(TYPE_NAMES, number)) {
+    throw new TransactionError(
+      'INVALID_TRANSACTION_TYPE',
+      `Unsupported transaction type ${JSON.stringify(type)}. Expected 0-3 or one of: ${Object.keys(TRANSACTION_TYPES).join(', ')}`
+    );
+  }
+  return number;
+}
+
+function rejectFields(fields, names, typeName) {
+  const present = names.find((name) => isSet(fields[name]));
+  if (present) {
+    throw new TransactionError('UNSUPPORTED_FIELD', `${present} is not used by ${typeName} transactions`);
+  }
+}
+
+function requireFields(fields, names, typeName) {
+  const missing = names.find((name) => !isSet(fields[name]));
+  if (missing) {
+    throw new TransactionError('MISSING_FIELD', `${missing} is required for ${typeName} transactions`);
+  }
+}
+
+function parseBlobs(value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new TransactionError('INVALID_FIELD', 'blobs must be a non-empty array');
+  }
+
+  // Commitments and proofs are required because computing them needs a KZG
+  // trusted setup, which this API doesn't ship
+  return value.map((blob, index) => {
+    if (!blob || typeof blob !== 'object') {
+      throw new TransactionError('INVALID_FIELD', `blobs[${index}] must be an object with data, commitment and proof`);
+    }
+    return {
+      data: parseHexData(`blobs[${index}].data`, blob.data, BLOB_SIZE),
+      commitment: parseHexData(`blobs[${index}].commitment`, blob.commitment, 48),
+      proof: parseHexData(`blobs[${index}].proof`, blob.proof, 48)
+    };
+  });
+}
+
+// Validate a request body and return a transaction request ethers can sign.
+// Accepts `gas` as an alias of `gasLimit`.
+function normalizeTransaction(payload) {
+  const fields = { ...(payload || {}) };
+  if (!isSet(fields.gasLimit) && isSet(fields.gas)) {
+    fields.gasLimit = fields.gas;
+  }
+
+  const type = resolveType(fields);
+  const typeName = TYPE_NAMES[type];
+
+  requireFields(fields, ['chainId', 'nonce', 'gasLimit'], typeName);
+  if (type < TRANSACTION_TYPES.eip1559) {
+    requireFields(fields, ['gasPrice'], typeName);
+    rejectFields(fields, ['maxFeePerGas', 'maxPriorityFeePerGas'], typeName);
+  } else {
+    requireFields(fields, ['maxFeePerGas', 'maxPriorityFeePerGas'], typeName);
+    rejectFields(fields, ['gasPrice'], typeName);
+  }
+  if (type === TRANSACTION_TYPES.legacy) {
+    rejectFields(fields, ['accessList'], typeName);
+  }
+  if (type === TRANSACTION_TYPES.eip4844) {
+    // Blob transactions can't create contracts
+    requireFields(fields, ['to', 'maxFeePerBlobGas'], typeName);
+    if (isSet(fields.blobs) === isSet(fields.blobVersionedHashes)) {
+      throw new TransactionError('MISSING_FIELD', 'eip4844 transactions need either blobs or blobVersionedHashes');
+    }
+  } else {
+    rejectFields(fields, ['blobs', 'blobVersionedHashes', 'maxFeePerBlobGas'], typeName);
+  }
+
+  const chainId = parseQuantity('chainId', fields.chainId);
+  if (chainId === 0n) {
+    throw new TransactionError('INVALID_FIELD', 'chainId must be greater than 0');
+  }
+
+  const nonce = parseQuantity('nonce', fields.nonce);
+  if (nonce > BigInt(Number.MAX_SAFE_INTEGER)) {
+    throw new TransactionError('INVALID_FIELD', 'nonce is too large');
+  }
+
+  const transaction = {
+    type,
+    chainId,
+    nonce: Number(nonce),
+    gasLimit: parseQuantity('gasLimit', fields.gasLimit),
+    to: isSet(fields.to) ? parseAddress('to', fields.to) : null,
+    value: isSet(fields.value) ? parseQuantity('value', fields.value) : 0n,
+    data: isSet(fields.data) ? parseHexData('data', fields.data) : '0x'
+  };
+
+  if (type < TRANSACTION_TYPES.eip1559) {
+    transaction.gasPrice = parseQuantity('gasPrice', fields.gasPrice);
+  } else {
+    transaction.maxFeePerGas = parseQuantity('maxFeePerGas', fields.maxFeePerGas);
+    transaction.maxPriorityFeePerGas = parseQuantity('maxPriorityFeePerGas', fields.maxPriorityFeePerGas);
+    if (transaction.maxPriorityFeePerGas > transaction.maxFeePerGas) {
+      throw new TransactionError('INVALID_FIELD', 'maxPriorityFeePerGas cannot exceed maxFeePerGas');
+    }
+  }
+
+  if (type !== TRANSACTION_TYPES.legacy) {
+    try {
+      transaction.accessList = ethers.accessListify(fields.accessList || []);
+    } catch (error) {
+      throw new TransactionError('INVALID_FIELD', 'accessList must be a list of {address, storageKeys} entries');
+    }
+  }
+
+  if (type === TRANSACTION_TYPES.eip4844) {
+    transaction.maxFeePerBlobGas = parseQuantity('maxFeePerBlobGas', fields.maxFeePerBlobGas);
+    if (isSet(fields.blobs)) {
+      transaction.blobs = parseBlobs(fields.blobs);
+    } else {
+      if (!Array.isArray(fields.blobVersionedHashes) || fields.blobVersionedHashes.length === 0) {
+        throw new TransactionError('INVALID_FIELD', 'blobVersionedHashes must be a non-empty array');
+      }
+      transaction.blobVersionedHashes = fields.blobVersionedHashes.map((hash, index) => {
+        parseHexData(`blobVersionedHashes[${index}]`, hash, 32);
+        if (!hash.startsWith('0x01')) {
+          throw new TransactionError('INVALID_FIELD', `blobVersionedHashes[${index}] must start with the 0x01 KZG version byte`);
+        }
+        return hash.toLowerCase();
+      });
+    }
+  }
+
+  if (isSet(fields.from)) {
+    transaction.from = parseAddress('from', fields.from);
+  }
+
+  return transaction;
+}
+
+// Parse a serialized transaction of any type, signed or not
+function decodeTransaction(rawTransaction) {
+  if (typeof rawTransaction !== 'string' || !ethers.isHexString(rawTransaction) || rawTransaction.length <= 2) {
+    throw new TransactionError('INVALID_TRANSACTION_HEX', 'rawTransaction must be a 0x-prefixed hex string');
+  }
+
+  try {
+    return ethers.Transaction.from(rawTransaction);
+  } catch (error) {
+    throw new TransactionError('INVALID_TRANSACTION', `Transaction could not be decoded: ${error.shortMessage || error.message}`);
+  }
+}
+
+// Recover the sender and check the signature the way a node would. ethers
+// already refuses to decode an s with its top bit set; the rest of the upper
+// half still recovers a sender, which is reported, but the network would
+// reject it.
+function recoverSender(tx) {
+  if (!tx.signature) {
+    return { from: null, isValid: false, reason: 'Transaction is not signed' };
+  }
+
+  const r = BigInt(tx.signature.r);
+  const s = BigInt(tx.signature.s);
+  if (r === 0n || s === 0n) {
+    return { from: null, isValid: false, reason: 'Signature r and s must be non-zero' };
+  }
+
+  let from;
+  try {
+    from = tx.from;
+  } catch (error) {
+    return { from: null, isValid: false, reason: 'Sender could not be recovered from the signature' };
+  }
+
+  if (s > SECP256K1_HALF_N) {
+    return { from, isValid: false, reason: 'Signature s value is in the upper half of the curve order, which nodes reject since EIP-2' };
+  }
+  return { from, isValid: true };
+}
+
+// Legacy transactions are only replay protected when EIP-155 folded a chain
+// ID into v. Typed transactions always sign over their chain ID.
+function isReplayProtected(tx) {
+  return tx.type !== TRANSACTION_TYPES.legacy || tx.chainId > 0n;
+}
+
+// JSON view of a (signed or unsigned) ethers Transaction. Quantities are
+// decimal strings so they survive JSON without losing precision.
+function describeTransaction(tx) {
+  const description = {
+    type: tx.type,
+    typeName: TYPE_NAMES[tx.type],
+    chainId: tx.chainId.toString(),
+    nonce: tx.nonce,
+    to: tx.to,
+    value: tx.value.toString(),
+    data: tx.data,
+    gasLimit: tx.gasLimit.toString()
+  };
+
+  if (tx.type < TRANSACTION_TYPES.eip1559) {
+    description.gasPrice = tx.gasPrice.toString();
+  } else {
+    description.maxFeePerGas = tx.maxFeePerGas.toString();
+    description.maxPriorityFeePerGas = tx.maxPriorityFeePerGas.toString();
+  }
+  if (tx.type !== TRANSACTION_TYPES.legacy) {
+    description.accessList = tx.accessList;
+  }
+  if (tx.type === TRANSACTION_TYPES.eip4844) {
+    description.maxFeePerBlobGas = tx.maxFeePerBlobGas.toString();
+    description.blobVersionedHashes = tx.blobVersionedHashes;
+    description.blobCount = tx.blobVersionedHashes.length;
+    description.hasSidecar = Array.isArray(tx.blobs) && tx.blobs.length > 0;
+  }
+
+  if (tx.signature) {
+    const { r, s, yParity } = tx.signature;
+    let v = BigInt(yParity);
+    if (tx.type === TRANSACTION_TYPES.legacy) {
+      // EIP-155 folds the chain ID into v for legacy transactions
+      v = tx.chainId > 0n ? tx.chainId * 2n + 35n + v : 27n + v;
+    }
+    description.from = recoverSender(tx).from;
+    description.signature = { r, s, yParity, v: v.toString() };
+  }
+
+  return description;
+}
+
+module.exports = {
+  TRANSACTION_TYPES,
+  TransactionError,
+  normalizeTransaction,
+  decodeTransaction,
+  recoverSender,
+  isReplayProtected,
+  describeTransaction
+};
@@ -0,0 +1,82 @@
+const { ethers } = require('ethers');
+
+// EIP-712 payload helpers shared by the typed data sign and verify routes
+
+class TypedDataError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TypedDataError';
+  }
+}
+
+// Strip an array suffix ("Person[]", "uint256[2]") down to the base type name
+function baseType(type) {
+  return type.replace(/(\[[0-9]*\])+$/, '');
+}
+
+// Validate a {domain, types, primaryType, message} payload and return the
+// parts ethers needs. ethers infers the primary type itself, so types that
+// aren't reachable from primaryType (and EIP712Domain, which ethers derives
+// from the domain) are dropped.
+function normalizeTypedData(payload) {
+  const { domain, types, primaryType, message } = payload || {};
+
+  if (!domain || typeof domain !== 'object') {
+    throw new TypedDataError('domain must be an object');
+  }
+  if (!types || typeof types !== 'object') {
+    throw new TypedDataError('types must be an object');
+  }
+  if (!primaryType || typeof primaryType !== 'string') {
+    throw new TypedDataError('primaryType is required');
+  }
+  if (!Array.isArray(types[primaryType])) {
+    throw new TypedDataError(`primaryType "${primaryType}" is not defined in types`);
+  }
+  if (!message || typeof message !== 'object') {
+    throw new TypedDataError('message must be an object');
+  }
+
+  const reachable = {};
+  const pending = [primaryType];
+  while (pending.length > 0) {
+    const name = pending.pop();
+    if (reachable[name] || name === 'EIP712Domain') {
+      continue;
+    }
+
+    const fields = types[name];
+    if (!Array.isArray(fields)) {
+      throw new TypedDataError(`Type "${name}" must be an array of {name, type} fields`);
+    }
+    reachable[name] = fields;
+
+    for (const field of fields) {
+      const fieldType = baseType(String(field && field.type));
+      if (types[fieldType]) {
+        pending.push(fieldType);
+      }
+    }
+  }
+
+  try {
+    // Throws for unknown types, cycles and similar definition errors
+    ethers.TypedDataEncoder.from(reachable);
+  } catch (error) {
+    throw new TypedDataError(`Invalid types: ${error.shortMessage || error.message}`);
+  }
+
+  return { domain, types: reachable, primaryType, message };
+}
+
+// Hashes that make up the EIP-712 digest, useful when comparing against
+// what a contract computes
+function hashTypedData({ domain, types, primaryType, message }) {
+  return {
+    domainSeparator: ethers.TypedDataEncoder.hashDomain(domain),
+    structHash: ethers.TypedDataEncoder.from(types).hashStruct(primaryType, message),
+    digest: ethers.TypedDataEncoder.hash(domain, types, message)
+  };
+}
+
+module.exports = { TypedDataError, normalizeTypedData, hashTypedData };
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { SuiKeyError, SCHEMES, resolveScheme } = require('./sui');
+
+// Vanity address search: pattern validation, difficulty estimates and the
+// per-attempt key generation run inside the worker threads.
+
+const ADDRESS_LENGTHS = {
+  eth: 40,
+  sui: 64
+};
+
+class VanityError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'VanityError';
+    this.code = code;
+  }
+}
+
+function parseBoolean(name, value) {
+  if (value === undefined || value === null || value === false || value === 'false') {
+    return false;
+  }
+  if (value === true || value === 'true') {
+    return true;
+  }
+  throw new VanityError('INVALID_PATTERN', `${name} must be true or false`);
+}
+
+// Validate {chain, prefix, suffix, caseSensitive, scheme} into a search
+// pattern. Case-insensitive patterns are lowercased up front.
+function normalizePattern({ chain, prefix = '', suffix = '', caseSensitive, scheme } = {}) {
+  if (!Object.prototype.hasOwnProperty.call(ADDRESS_LENGTHS, chain)) {
+    throw new VanityError('INVALID_CHAIN', `Unsupported chain "${chain}". Expected one of: ${Object.keys(ADDRESS_LENGTHS).join(', ')}`);
+  }
+  if (typeof prefix !== 'string' || typeof suffix !== 'string') {
+    throw new VanityError('INVALID_PATTERN', 'prefix and suffix must be strings');
+  }
+
+  let cleanPrefix = prefix.replace(/^0x/i, '');
+  let cleanSuffix = suffix;
+  if (!/^[0-9a-fA-F]*$/.test(cleanPrefix) || !/^[0-9a-fA-F]*$/.test(cleanSuffix)) {
+    throw new VanityError('INVALID_PATTERN', 'prefix and suffix may only contain hex characters (0-9, a-f)');
+  }
+  if (!cleanPrefix && !cleanSuffix) {
+    throw new VanityError('INVALID_PATTERN', 'A prefix or suffix is required');
+  }
+  if (cleanPrefix.length + cleanSuffix.length > ADDRESS_LENGTHS[chain]) {
+    throw new VanityError('INVALID_PATTERN', `prefix and suffix together can't be longer than a ${chain.toUpperCase()} address`);
+  }
+
+  const sensitive = parseBoolean('caseSensitive', caseSensitive);
+  if (sensitive && chain !== 'eth') {
+    throw new VanityError('INVALID_PATTERN', 'caseSensitive only applies to checksummed ETH addresses');
+  }
+  if (!sensitive) {
+    cleanPrefix = cleanPrefix.toLowerCase();
+    cleanSuffix = cleanSuffix.toLowerCase();
+  }
+
+  let schemeName = null;
+  if (chain === 'sui') {
+    try {
+      schemeName = resolveScheme(scheme).name;
+    } catch (error) {
+      if (error instanceof SuiKeyError) {
+        throw new VanityError('INVALID_SCHEME', error.message);
+      }
+      throw error;
+    }
+  }
+
+  return { chain, scheme: schemeName, prefix: cleanPrefix, suffix: cleanSuffix, caseSensitive: sensitive };
+}
+
+// Expected number of attempts to find a match. Each hex character is a 1 in
+// 16 guess; with checksum casing every letter also has to come out in the
+// right case, which EIP-55 leaves to a coin flip.
+function estimateDifficulty({ prefix, suffix, caseSensitive }) {
+  const pattern = prefix + suffix;
+  const letters = caseSensitive ? (pattern.match(/[a-fA-F]/g) || []).length : 0;
+  return Math.pow(16, pattern.length) * Math.pow(2, letters);
+}
+
+// Chance of at least one match within `attempts` tries
+function successProbability(difficulty, attempts) {
+  return -Math.expm1(-attempts / difficulty);
+}
+
+// Build the function a worker calls in its loop. Each call generates one
+// random key and returns { address, privateKey } on a match, null otherwise.
+function createSearch(pattern) {
+  const { chain, scheme, prefix, suffix, caseSensitive } = pattern;
+  const lowerPrefix = prefix.toLowerCase();
+  const lowerSuffix = suffix.toLowerCase();
+
+  const matches = (hexAddress) => {
+    // Compare lowercase first; the checksummed form only matters once the
+    // characters themselves line up
+    const lower = hexAddress.toLowerCase();
+    if (!lower.startsWith(lowerPrefix) || !lower.endsWith(lowerSuffix)) {
+      return false;
+    }
+    return !caseSensitive || (hexAddress.startsWith(prefix) && hexAddress.endsWith(suffix));
+  };
+
+  if (chain === 'eth') {
+    return () => {
+      const privateKey = '0x' + crypto.randomBytes(32).toString('hex');
+      const address = ethers.computeAddress(privateKey);
+      return matches(address.slice(2)) ? { address, privateKey } : null;
+    };
+  }
+
+  const { Keypair } = SCHEMES[scheme];
+  return () => {
+    const secretKey = crypto.randomBytes(32);
+    const address = Keypair.fromSecretKey(secretKey).toSuiAddress();
+    return matches(address.slice(2)) ? { address, privateKey: secretKey.toString('hex') } : null;
+  };
+}
+
+module.exports = {
+  VanityError,
+  normalizePattern,
+  estimateDifficulty,
+  successProbability,
+  createSearch
+};
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { ethers } = require('ethers');
+const { keypairFromPrivateKey, describeKeypair } = require('./sui');
+const { VanityError, estimateDifficulty, successProbability } = require('./vanity');
+
+// Runs vanity searches as background jobs. Each job spreads its search over
+// a pool of worker threads (see lib/vanityWorker.js) and is polled by ID.
+// Jobs live in memory only: they are lost on restart and are not shared
+// between instances.
+
+const WORKER_FILE = path.join(__dirname, 'vanityWorker.js');
+
+function generateJobId() {
+  return `vanity_${crypto.randomBytes(16).toString('hex')}`;
+}
+
+// Turn a worker's match into the same wallet fields the generate routes return
+function buildWallet(pattern, match) {
+  if (pattern.chain === 'eth') {
+    const wallet = new ethers.Wallet(match.privateKey);
+    return {
+      address: wallet.address,
+      privateKey: wallet.privateKey,
+      publicKey: wallet.signingKey.publicKey
+    };
+  }
+  return describeKeypair(keypairFromPrivateKey(match.privateKey, pattern.scheme));
+}
+
+class VanityJobManager {
+  constructor({
+    threads,
+    maxRunningJobs = 4,
+    maxJobsPerClient = 1,
+    maxDurationMs = 5 * 60 * 1000,
+    ttlMs = 10 * 60 * 1000
+  } = {}) {
+    this.threads = threads;
+    this.maxRunningJobs = maxRunningJobs;
+    this.maxJobsPerClient = maxJobsPerClient;
+    this.maxDurationMs = maxDurationMs;
+    this.ttlMs = ttlMs;
+    this.jobs = new Map();
+
+    // Forget finished jobs (and the keys they found) after ttlMs; unref so
+    // it never keeps the process alive on its own
+    this.timer = setInterval(() => this.prune(), 60 * 1000);
+    this.timer.unref();
+  }
+
+  // Running jobs, or only those started by `client` when it is given
+  runningCount(client) {
+    let count = 0;
+    for (const job of this.jobs.values()) {
+      if (job.status === 'running' && (client === undefined || job.client === client)) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  // Start a search for `pattern` (from normalizePattern). `owner` is the API
+  // key ID that created it, so other keys can't read the result. `client`
+  // identifies the caller (API key or IP address) for the per-client limit.
+  start(pattern, maxAttempts, owner = null, client = owner) {
+    if (this.runningCount(client) >= this.maxJobsPerClient) {
+      throw new VanityError(
+        'VANITY_CLIENT_LIMIT',
+        `You already have ${this.maxJobsPerClient} vanity ${this.maxJobsPerClient === 1 ? 'search' : 'searches'} running. Wait for one to finish or cancel it.`
+      );
+    }
+    if (this.runningCount() >= this.maxRunningJobs) {
+      throw new VanityError('VANITY_BUSY', 'Too many vanity searches are running. Try again once one has finished.');
+    }
+
+    const job = {
+      id: generateJobId(),
+      owner,
+      client,
+      pattern,
+      maxAttempts,
+      difficulty: estimateDifficulty(pattern),
+      status: 'running',
+      attempts: 0,
+      threads: this.threads,
+      createdAt: Date.now(),
+      finishedAt: null,
+      wallet: null,
+      workers: [],
+      // Stop searches that outlive their time limit, whatever their budget
+      timeout: setTimeout(() => this.finish(job, 'timeout'), this.maxDurationMs)
+    };
+    job.timeout.unref();
+    this.jobs.set(job.id, job);
+
+    for (let i = 0; i < this.threads; i++) {
+      const worker = new Worker(WORKER_FILE, { workerData: { pattern } });
+      worker.on('message', (message) => this.handleMessage(job, message));
+      worker.on('error', (error) => {
+        console.error(`Vanity worker for ${job.id} failed:`, error);
+        this.finish(job, 'failed');
+      });
+      job.workers.push(worker);
+    }
+
+    return job;
+  }
+
+  handleMessage(job, message) {
+    if (job.status !== 'running') {
+      return;
+    }
+
+    job.attempts += message.attempts;
+    if (message.type === 'found') {
+      job.wallet = buildWallet(job.pattern, message);
+      this.finish(job, 'found');
+    } else if (job.attempts >= job.maxAttempts) {
+      this.finish(job, 'exhausted');
+    }
+  }
+
+  finish(job, status) {
+    if (job.status !== 'running') {
+      return;
+    }
+
+    job.status = status;
+    job.finishedAt = Date.now();
+    clearTimeout(job.timeout);
+    for (const worker of job.workers) {
+      worker.terminate();
+    }
+    job.workers = [];
+  }
+
+  // Jobs are only visible to the API key that created them
+  get(id, owner = null) {
+    const job = this.jobs.get(id);
+    return job && job.owner === owner ? job : null;
+  }
+
+  cancel(id, owner = null) {
+    const job = this.get(id, owner);
+    if (job) {
+      this.finish(job, 'cancelled');
+    }
+    return job;
+  }
+
+  prune() {
+    const cutoff = Date.now() - this.ttlMs;
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt !== null && job.finishedAt <= cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+// Public view of a job, with progress and timing estimates
+function describeJob(job) {
+  const { chain, scheme, prefix, suffix, caseSensitive } = job.pattern;
+  const elapsedMs = (job.finishedAt || Date.now()) - job.createdAt;
+  const attemptsPerSecond = elapsedMs > 0 ? Math.round(job.attempts / (elapsedMs / 1000)) : 0;
+
+  return {
+    jobId: job.id,
+    status: job.status,
+    chain,
+    ...(scheme ? { scheme } : {}),
+    prefix,
+    suffix,
+    caseSensitive,
+    difficulty: job.difficulty,
+    maxAttempts: job.maxAttempts,
+    probability: successProbability(job.difficulty, job.maxAttempts),
+    attempts: job.attempts,
+    progress: Math.min(job.attempts / job.maxAttempts, 1),
+    attemptsPerSecond,
+    // A random search has no memory: the expected wait is the same however
+    // long the job has already run
+    expectedSecondsToMatch: attemptsPerSecond > 0 ? Math.round(job.difficulty / attemptsPerSecond) : null,
+    threads: job.threads,
+    elapsedMs,
+    createdAt: new Date(job.createdAt).toISOString(),
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+    ...(job.wallet ? { wallet: job.wallet } : {})
+  };
+}
+
+module.exports = { VanityJobManager, describeJob };
@@ -0,0 +1,28 @@
+const { parentPort, workerData } = require('worker_threads');
+const { createSearch } = require('./vanity');
+
+// Vanity search worker. Generates keys until one matches, reporting attempts
+// to the job manager a few times a second. The manager stops the search by
+// terminating the thread, so the loop never has to yield.
+
+const REPORT_INTERVAL_MS = 250;
+
+const search = createSearch(workerData.pattern);
+let attempts = 0;
+let lastReport = Date.now();
+
+for (;;) {
+  const match = search();
+  attempts++;
+
+  if (match) {
+    parentPort.postMessage({ type: 'found', attempts, ...match });
+    break;
+  }
+
+  if (attempts % 32 === 0 && Date.now() - lastReport >= REPORT_INTERVAL_MS) {
+    parentPort.postMessage({ type: 'progress', attempts });
+    attempts = 0;
+    lastReport = Date.now();
+  }
+}
@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { SuiKeyError, resolveScheme, keypairFromPrivateKey, keyTypeName } = require('./sui');
+
+// Custodial key vault. Private keys are encrypted with AES-256-GCM under a
+// master key before they reach the store, and callers refer to them by an
+// opaque key ID from then on.
+
+const CHAINS = ['eth', 'sui'];
+
+class VaultError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'VaultError';
+    this.code = code;
+  }
+}
+
+// Accept the master key as 64 hex characters or base64 of 32 bytes
+function parseMasterKey(value) {
+  const text = String(value).trim();
+  const key = /^(0x)?[0-9a-fA-F]{64}$/.test(text)
+    ? Buffer.from(text.replace(/^0x/, ''), 'hex')
+    : Buffer.from(text, 'base64');
+
+  if (key.length !== 32) {
+    throw new VaultError('INVALID_MASTER_KEY', 'Vault master key must be 32 bytes (64 hex characters or base64)');
+  }
+  return key;
+}
+
+function generateKeyId() {
+  return `key_${crypto.randomBytes(16).toString('hex')}`;
+}
+
+// Public view of an entry, without the encrypted secrets
+function toMetadata(entry) {
+  const { secret, previousKeys = [], ...metadata } = entry;
+  return {
+    ...metadata,
+    previousKeys: previousKeys.map(({ secret: previousSecret, ...key }) => key)
+  };
+}
+
+class KeyVault {
+  constructor(store, masterKey) {
+    this.store = store;
+    this.masterKey = masterKey;
+  }
+
+  // The key ID is bound in as additional authenticated data, so an
+  // encrypted secret can't be moved to another entry
+  encrypt(id, plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.masterKey, iv);
+    cipher.setAAD(Buffer.from(id));
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return {
+      algorithm: 'aes-256-gcm',
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      ciphertext: ciphertext.toString('base64')
+    };
+  }
+
+  decrypt(id, secret) {
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', this.masterKey, Buffer.from(secret.iv, 'base64'));
+      decipher.setAAD(Buffer.from(id));
+      decipher.setAuthTag(Buffer.from(secret.tag, 'base64'));
+      return Buffer.concat([
+        decipher.update(Buffer.from(secret.ciphertext, 'base64')),
+        decipher.final()
+      ]).toString('utf8');
+    } catch (error) {
+      throw new VaultError('DECRYPTION_FAILED', 'Key could not be decrypted. Was the vault master key changed?');
+    }
+  }
+
+  // Build key material for a chain, from the given private key or a new random one
+  createKeyMaterial(chain, key, scheme) {
+    if (chain === 'eth') {
+      let wallet;
+      try {
+        wallet = key ? new ethers.Wallet(key.startsWith('0x') ? key : `0x${key}`) : ethers.Wallet.createRandom();
+      } catch (error) {
+        throw new VaultError('INVALID_KEY', 'Invalid Ethereum private key');
+      }
+      return {
+        privateKey: wallet.privateKey,
+        fields: {
+          keyType: 'secp256k1',
+          address: wallet.address,
+          publicKey: wallet.signingKey.compressedPublicKey
+        }
+      };
+    }
+
+    let keypair;
+    try {
+      keypair = key ? keypairFromPrivateKey(key, scheme) : resolveScheme(scheme).Keypair.generate();
+    } catch (error) {
+      if (error instanceof SuiKeyError) {
+        throw new VaultError('INVALID_KEY', error.message);
+      }
+      throw error;
+    }
+    return {
+      // Bech32 keeps the scheme flag with the key
+      privateKey: keypair.getSecretKey(),
+      fields: {
+        keyType: keyTypeName(keypair.getKeyScheme()),
+        address: keypair.getPublicKey().toSuiAddress(),
+        publicKey: keypair.getPublicKey().toBase64()
+      }
+    };
+  }
+
+  // Import a key (or generate one when `key` is omitted) and return its metadata
+  async create({ chain, key, scheme, label }) {
+    if (!CHAINS.includes(chain)) {
+      throw new VaultError('INVALID_CHAIN', `Chain must be one of: ${CHAINS.join(', ')}`);
+    }
+
+    const id = generateKeyId();
+    const material = this.createKeyMaterial(chain, key, scheme);
+    const now = new Date().toISOString();
+    const entry = {
+      id,
+      chain,
+      label: label === undefined ? null : String(label),
+      ...material.fields,
+      createdAt: now,
+      updatedAt: now,
+      previousKeys: [],
+      secret: this.encrypt(id, material.privateKey)
+    };
+
+    await this.store.put(entry);
+    return toMetadata(entry);
+  }
+
+  async getEntry(id) {
+    const entry = await this.store.get(String(id));
+    if (!entry) {
+      throw new VaultError('KEY_NOT_FOUND', `No key with ID ${id}`);
+    }
+    return entry;
+  }
+
+  async get(id) {
+    return toMetadata(await this.getEntry(id));
+  }
+
+  async list() {
+    const entries = await this.store.list();
+    return entries
+      .map(toMetadata)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async setLabel(id, label) {
+    const entry = await this.getEntry(id);
+    entry.label = label === null ? null : String(label);
+    entry.updatedAt = new Date().toISOString();
+    await this.store.put(entry);
+    return toMetadata(entry);
+  }
+
+  // Put fresh key material of the same chain and scheme behind an ID.
+  // Callers keep using the same ID and sign with the new key from then on;
+  // the old key stays encrypted in `previousKeys`, so funds at its address
+  // can still be moved by signing with `address` (see getSigner).
+  async rotate(id) {
+    const entry = await this.getEntry(id);
+    const scheme = entry.chain === 'sui' ? entry.keyType : undefined;
+    const material = this.createKeyMaterial(entry.chain, undefined, scheme);
+    const now = new Date().toISOString();
+
+    const rotated = {
+      ...entry,
+      ...material.fields,
+      updatedAt: now,
+      rotatedAt: now,
+      previousKeys: [
+        ...(entry.previousKeys || []),
+        {
+          keyType: entry.keyType,
+          address: entry.address,
+          publicKey: entry.publicKey,
+          retiredAt: now,
+          secret: entry.secret
+        }
+      ],
+      secret: this.encrypt(entry.id, material.privateKey)
+    };
+
+    await this.store.put(rotated);
+    return toMetadata(rotated);
+  }
+
+  async delete(id) {
+    const removed = await this.store.delete(String(id));
+    if (!removed) {
+      throw new VaultError('KEY_NOT_FOUND', `No key with ID ${id}`);
+    }
+  }
+
+  // Decrypt a key for signing. Returns an ethers Wallet for ETH keys and a
+  // Sui keypair for SUI keys. `address` selects a key retired by rotate();
+  // without it the current key is used.
+  async getSigner(id, chain, address) {
+    const entry = await this.getEntry(id);
+    if (entry.chain !== chain) {
+      throw new VaultError('WRONG_CHAIN', `Key ${id} holds a ${entry.chain.toUpperCase()} key and cannot sign for ${chain.toUpperCase()}`);
+    }
+
+    let { secret } = entry;
+    if (address !== undefined && address !== null && address !== '') {
+      const matches = (candidate) => candidate.toLowerCase() === String(address).toLowerCase();
+      const key = [entry, ...(entry.previousKeys || [])].find((candidate) => matches(candidate.address));
+      if (!key) {
+        throw new VaultError('KEY_NOT_FOUND', `Key ${id} has never held address ${address}`);
+      }
+      ({ secret } = key);
+    }
+
+    const privateKey = this.decrypt(entry.id, secret);
+    return chain === 'eth' ? new ethers.Wallet(privateKey) : keypairFromPrivateKey(privateKey);
+  }
+}
+
+module.exports = { VaultError, KeyVault, parseMasterKey };
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+
+// Storage backends for the key vault. Entries are stored exactly as the
+// vault hands them over (secrets already encrypted), so a store never sees
+// plaintext keys. Any object with the same async methods can be plugged in
+// through `app.locals.keyVault = new KeyVault(store, masterKey)`:
+//
+//   get(id)      -> entry or null
+//   list()       -> array of entries
+//   put(entry)   -> inserts or replaces the entry with entry.id
+//   delete(id)   -> true if an entry was removed
+
+class MemoryVaultStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(id) {
+    return this.entries.get(id) || null;
+  }
+
+  async list() {
+    return Array.from(this.entries.values());
+  }
+
+  async put(entry) {
+    this.entries.set(entry.id, entry);
+  }
+
+  async delete(id) {
+    return this.entries.delete(id);
+  }
+}
+
+// Keeps every entry in one JSON file. Meant for local and single-instance
+// use; the file is re-read on every call so edits from another process are
+// picked up, and written atomically (temp file + rename) with 0600 permissions.
+class FileVaultStore {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this.queue = Promise.resolve();
+  }
+
+  async read() {
+    try {
+      const contents = await fs.promises.readFile(this.filePath, 'utf8');
+      return JSON.parse(contents).entries || {};
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  async write(entries) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify({ version: 1, entries }, null, 2), { mode: 0o600 });
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+
+  // Run read-modify-write cycles one at a time so concurrent requests in
+  // this process don't overwrite each other
+  update(change) {
+    const run = this.queue.then(async () => {
+      const entries = await this.read();
+      const result = change(entries);
+      await this.write(entries);
+      return result;
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  // IDs come from requests, so names inherited from Object.prototype
+  // (constructor, __proto__, ...) must not count as entries
+  async get(id) {
+    const entries = await this.read();
+    return Object.prototype.hasOwnProperty.call(entries, id) ? entries[id] : null;
+  }
+
+  async list() {
+    return Object.values(await this.read());
+  }
+
+  async put(entry) {
+    await this.update((entries) => {
+      entries[entry.id] = entry;
+    });
+  }
+
+  async delete(id) {
+    return this.update((entries) => {
+      if (!Object.prototype.hasOwnProperty.call(entries, id)) {
+        return false;
+      }
+      delete entries[id];
+      return true;
+    });
+  }
+}
+
+module.exports = { MemoryVaultStore, FileVaultStore };
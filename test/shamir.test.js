@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bech32m } = require('@scure/base');
+const { splitSecret, splitMnemonic, combineShares } = require('../lib/shamir');
+
+// Shares made by splitMnemonic / splitSecret. They pin the share format and
+// the GF(256) arithmetic: if either changes, these stop combining.
+const LEGAL_WINNER = 'legal winner thank year wave sausage worth useful legal winner thank yellow';
+const ENGLISH_3_OF_5 = [
+  'shamir1qfpq7qcpqyqn7c66gf94m4wa3vzhl9zdfyxpgd0envtq5h45e2',
+  'shamir1qfpq7qczqyq47h95exusllwdjdyuwtjxvjcaavdkdurs936z4s',
+  'shamir1qfpq7qcrqyq37sy37jxj64m0vueu03t52tpt2qun9fhq43hwu8',
+  'shamir1qfpq7qcyqyqcj4wqz4ny77vecqmv9xmz3evwr4ygfvgsn7qd0k',
+  'shamir1qfpq7qc9qyqujj099pfxm5emx3xvyuzshq4c5e4dpeuqr7dpxp'
+];
+const SPANISH_2_OF_2 = [
+  'shamir1qfl75qspqyzx3etemr3fd6lxd0j08pk0fd3adhd49pvszsp0wz',
+  'shamir1qfl75qszqyz9z5rn9f0tvnzk2af8e9syzarnvvcw9yesmvysqf'
+];
+const PRIVATE_KEY_2_OF_3 = [
+  'shamir1q26ruqspqgq062sul6e9sd247teh5d477c9daacu0gfaefg2962xyalsav8h9aa78q302f2zf75',
+  'shamir1q26ruqszqgqwy4emu37tx6dflnl0wmmy7st6fa3m7uj6q5shtucv0m0cecw70ah38nmxv98zcyu',
+  'shamir1q26ruqsrqgqpulpxr0875h0apuxgckxmqvw8kqpx3smhmasuwzj6fxcfysfegqpaexapwx2d84f'
+];
+
+// Every way of picking `size` items from `items`
+function combinations(items, size) {
+  if (size === 0) {
+    return [[]];
+  }
+  return items.flatMap((item, i) => combinations(items.slice(i + 1), size - 1).map((rest) => [item, ...rest]));
+}
+
+function decode(share) {
+  return Buffer.from(bech32m.fromWords(bech32m.decode(share, false).words));
+}
+
+test('fixed mnemonic shares combine from any threshold subset', () => {
+  for (const subset of combinations(ENGLISH_3_OF_5, 3)) {
+    const { kind, threshold, language, secret } = combineShares(subset);
+    assert.equal(kind, 'mnemonic');
+    assert.equal(threshold, 3);
+    assert.equal(language, 'english');
+    assert.equal(secret.toString('hex'), '7f'.repeat(16));
+  }
+});
+
+test('fixed shares record the mnemonic language', () => {
+  const { language, secret } = combineShares(SPANISH_2_OF_2);
+  assert.equal(language, 'spanish');
+  assert.equal(secret.toString('hex'), '7f'.repeat(16));
+});
+
+test('fixed private key shares combine', () => {
+  for (const subset of combinations(PRIVATE_KEY_2_OF_3, 2)) {
+    const { kind, language, secret } = combineShares(subset);
+    assert.equal(kind, 'privateKey');
+    assert.equal(language, null);
+    assert.equal(secret.toString('hex'), '01'.repeat(32));
+  }
+});
+
+test('share header layout', () => {
+  const bytes = decode(ENGLISH_3_OF_5[3]);
+  assert.equal(bytes[0], 2); // version
+  assert.equal(bytes[3], 3); // threshold
+  assert.equal(bytes[4], 4); // x
+  assert.equal(bytes[5], 1); // kind: mnemonic
+  assert.equal(bytes[6], 1); // language: english
+  assert.equal(bytes.length, 7 + 16 + 4);
+});
+
+test('split and combine round trip', () => {
+  const shares = splitMnemonic(LEGAL_WINNER, 'english', 4, 7);
+  assert.equal(shares.length, 7);
+  assert.equal(combineShares(shares.slice(2, 6)).secret.toString('hex'), '7f'.repeat(16));
+
+  const key = Buffer.from('c0ffee'.repeat(10) + 'c0fe', 'hex');
+  assert.deepEqual(combineShares(splitSecret(key, 'privateKey', 2, 2)).secret, key);
+});
+
+test('rejects unusable share sets', () => {
+  const code = (shares) => {
+    try {
+      combineShares(shares);
+    } catch (error) {
+      return error.code;
+    }
+    return null;
+  };
+
+  assert.equal(code(ENGLISH_3_OF_5.slice(0, 2)), 'NOT_ENOUGH_SHARES');
+  assert.equal(code([ENGLISH_3_OF_5[0], ENGLISH_3_OF_5[0], ENGLISH_3_OF_5[1]]), 'DUPLICATE_SHARE');
+  assert.equal(code([SPANISH_2_OF_2[0], PRIVATE_KEY_2_OF_3[1]]), 'SHARE_MISMATCH');
+  assert.equal(code([ENGLISH_3_OF_5[0].replace(/.$/, 'q'), ...ENGLISH_3_OF_5.slice(1, 3)]), 'INVALID_SHARE');
+
+  // A share with a valid checksum but a changed value fails the digest
+  const tampered = decode(ENGLISH_3_OF_5[0]);
+  tampered[10] ^= 1;
+  const forged = bech32m.encode('shamir', bech32m.toWords(tampered), false);
+  assert.equal(code([forged, ...ENGLISH_3_OF_5.slice(1, 3)]), 'DIGEST_MISMATCH');
+});